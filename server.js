@@ -2,168 +2,1724 @@ const WebSocket = require("ws");
 const http = require("http");
 const fs = require("fs");
 const path = require("path");
+const vm = require("vm");
+const crypto = require("crypto");
+
+const NETHACK_JS_PATH = path.join(__dirname, "public", "nethack.js");
+const NETHACK_WASM_PATH = path.join(__dirname, "public", "nethack.wasm");
+// The wasm memory addresses used here were taken from this exact build, the
+// one in @neth4ck/neth4ck 1.0.4 (pinned in package.json). Any other build is
+// refused rather than having its memory overwritten at the wrong places.
+const NETHACK_WASM_SHA256 =
+  "27507db2a4fb57c313373e23f1f3e8023786a65931d1a45ac7847634be6a8212";
+const SAVES_DIR = path.join(__dirname, "saves"); // One sub-directory per player id
+const RECORDINGS_DIR = path.join(__dirname, "recordings"); // One .jsonl file per game
+const PLAYERS_DIR = path.join(__dirname, "players"); // One <playerId>.json of preferences per player
+const LEADERBOARD_PATH = path.join(__dirname, "leaderboard.json"); // Every finished game, best score first
+
+// shim_select_menu's `how`, as in include/wintype.h
+const PICK_NONE = 0;
+const PICK_ONE = 1;
+const PICK_ANY = 2;
+const MENU_SELECT_NAMES = { 0: "PICK_NONE", 1: "PICK_ONE", 2: "PICK_ANY" };
+// menu_item on wasm32: anything item (4), long count (4), unsigned itemflags (4)
+const MENU_ITEM_SIZE = 12;
+const MENU_ITEMFLAGS_SELECTED = 1; // add_menu itemflags bit for a preselected entry
+// shim_create_nhwindow types, as in include/wintype.h. The lines put into
+// menu and text windows are shown together when the window is displayed.
+const NHW_MESSAGE = 1;
+const NHW_MAP = 3;
+const NHW_MENU = 4;
+const NHW_TEXT = 5;
+const FIRST_TRANSIENT_WINDOW_ID = 10; // Ids handed out after the game's own windows
+// NetHack 3.7 status fields (BL_* in include/botl.h), named as the client does
+const STATUS_FIELD_NAMES = {
+  0: "name",
+  1: "strength",
+  2: "dexterity",
+  3: "constitution",
+  4: "intelligence",
+  5: "wisdom",
+  6: "charisma",
+  7: "alignment",
+  8: "score",
+  9: "encumbrance",
+  10: "gold",
+  11: "power",
+  12: "maxpower",
+  13: "level",
+  14: "armor",
+  15: "hitdice",
+  16: "time",
+  17: "hunger",
+  18: "hp",
+  19: "maxhp",
+  20: "dlevel",
+  21: "experience",
+  22: "condition",
+};
+const BL_TIME = 16; // Status field holding the turn counter
+const BL_LEVELDESC = 20; // Status field with the level's description, "Dlvl:3"
+const MAP_COLUMNS = 80; // COLNO
+const MAP_ROWS = 21; // ROWNO
+
+// The Emscripten glue is compiled once and then evaluated in a fresh V8 context
+// per session. It reads its UI callback, nethackGlobal and the Asyncify
+// re-entry lock straight off globalThis, so sharing one global object between
+// connections lets the last player to connect hijack everyone else's game.
+let nethackScript = null;
+let nethackWasmBinary = null;
+
+// A game that calls exit() goes through Module.quit, which throws Emscripten's
+// ExitStatus to stop its WASM stack from carrying on
+function isNetHackExit(error) {
+  return !!error && error.name === "ExitStatus";
+}
+
+// onCrash is called with any other error the game throws, so that only the
+// session it belongs to is ended
+function createNetHackContext(onCrash) {
+  if (!nethackScript) {
+    console.log("Compiling NetHack glue from:", NETHACK_JS_PATH);
+    // The build does not export FS, which we need to move save files in and
+    // out of the game, so expose it from inside the factory closure
+    const source = fs
+      .readFileSync(NETHACK_JS_PATH, "utf8")
+      .replace("// {{MODULE_ADDITIONS}}", 'Module["FS"] = FS;');
+    nethackScript = new vm.Script(
+      `(function (exports, require, module, __filename, __dirname) {${source}\n})`,
+      { filename: NETHACK_JS_PATH }
+    );
+  }
+  if (!nethackWasmBinary) {
+    console.log("Loading WASM from:", NETHACK_WASM_PATH);
+    const wasmBinary = fs.readFileSync(NETHACK_WASM_PATH);
+    const hash = crypto.createHash("sha256").update(wasmBinary).digest("hex");
+    if (hash !== NETHACK_WASM_SHA256) {
+      throw new Error(
+        `${NETHACK_WASM_PATH} is not the @neth4ck/neth4ck 1.0.4 build this server was written against (sha256 ${hash})`
+      );
+    }
+    nethackWasmBinary = wasmBinary;
+    console.log("WASM binary loaded, size:", nethackWasmBinary.length);
+  }
+
+  // Emscripten registers process-wide listeners; keep them out of the server
+  const sandboxProcess = Object.create(process, {
+    on: { value: () => sandboxProcess },
+  });
+
+  // The game resumes after each UI callback from a timer, so that is where
+  // its ExitStatus ends up once it has quit. Anything else is a real crash,
+  // and rethrowing it from a timer would take every other game down with it.
+  const sandboxSetTimeout = (callback, delay, ...args) =>
+    setTimeout(
+      (...callbackArgs) => {
+        try {
+          callback(...callbackArgs);
+        } catch (error) {
+          if (!isNetHackExit(error)) {
+            onCrash(error);
+          }
+        }
+      },
+      delay,
+      ...args
+    );
+
+  const context = vm.createContext({
+    console,
+    process: sandboxProcess,
+    Buffer,
+    TextDecoder,
+    TextEncoder,
+    URL,
+    performance,
+    setTimeout: sandboxSetTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    setImmediate,
+    clearImmediate,
+  });
+
+  const factoryModule = { exports: {} };
+  nethackScript.runInContext(context)(
+    factoryModule.exports,
+    require,
+    factoryModule,
+    NETHACK_JS_PATH,
+    path.dirname(NETHACK_JS_PATH)
+  );
+
+  return {
+    context,
+    factory: factoryModule.exports,
+    wasmBinary: nethackWasmBinary,
+  };
+}
+
+// --- Save file storage ---
+// NetHack writes its save into the emulated filesystem's /save directory, which
+// disappears with the session, so each save is copied to SAVES_DIR/<playerId>/
+// alongside a small JSON file describing it.
+
+// This build only fills in its version info (nomakedefs, in src/mdlib.c) when
+// #version is run, so left alone it stamps saves with a placeholder version
+// and then refuses them on restore as a version mismatch. The version number
+// make_version() would compute is put in place before the game starts.
+const NOMAKEDEFS_VERSION_NUMBER_ADDR = 484712; // nomakedefs.version_number in wasm memory
+const PLACEHOLDER_VERSION_NUMBER = 0x01010000; // What it holds until then
+const NETHACK_VERSION_NUMBER = 0x0307001b; // 3.7.0, edit level 27
+// A save opens with its format indicator ('h') and an int before version_info
+const SAVE_VERSION_OFFSET = 5;
+
+function setNetHackVersion(Module) {
+  const index = NOMAKEDEFS_VERSION_NUMBER_ADDR >> 2;
+  if (Module.HEAPU32[index] !== PLACEHOLDER_VERSION_NUMBER) {
+    throw new Error(
+      `Expected the placeholder version at ${NOMAKEDEFS_VERSION_NUMBER_ADDR}, found 0x${Module.HEAPU32[
+        index
+      ].toString(16)} - is public/nethack.wasm the build this server expects?`
+    );
+  }
+  Module.HEAPU32[index] = NETHACK_VERSION_NUMBER;
+}
+
+// Saves written before the version was set carry the placeholder; give them
+// the version number this build checks for so they restore too
+function stampSaveVersion(data) {
+  const save = Buffer.from(data);
+  if (
+    save.length >= SAVE_VERSION_OFFSET + 4 &&
+    save.readUInt32LE(SAVE_VERSION_OFFSET) === PLACEHOLDER_VERSION_NUMBER
+  ) {
+    save.writeUInt32LE(NETHACK_VERSION_NUMBER, SAVE_VERSION_OFFSET);
+  }
+  return save;
+}
+
+function isValidPlayerId(playerId) {
+  return typeof playerId === "string" && /^[a-f0-9]{32}$/.test(playerId);
+}
+
+function isValidSaveFileName(file) {
+  // Apostrophes are allowed in player names and NetHack keeps them in the file name
+  return typeof file === "string" && /^[\w.'-]+$/.test(file) && !file.startsWith(".");
+}
+
+function listPlayerSaves(playerId) {
+  const playerDir = path.join(SAVES_DIR, playerId);
+  if (!isValidPlayerId(playerId) || !fs.existsSync(playerDir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(playerDir)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) =>
+      JSON.parse(fs.readFileSync(path.join(playerDir, file), "utf8"))
+    )
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+function readPlayerSave(playerId, file) {
+  if (!isValidPlayerId(playerId) || !isValidSaveFileName(file)) {
+    return null;
+  }
+  const savePath = path.join(SAVES_DIR, playerId, file);
+  if (!fs.existsSync(savePath) || !fs.existsSync(`${savePath}.json`)) {
+    return null;
+  }
+  return {
+    ...JSON.parse(fs.readFileSync(`${savePath}.json`, "utf8")),
+    data: fs.readFileSync(savePath),
+  };
+}
+
+function writePlayerSave(playerId, file, data) {
+  const playerDir = path.join(SAVES_DIR, playerId);
+  fs.mkdirSync(playerDir, { recursive: true });
+  const saveInfo = {
+    file: file,
+    name: file.replace(/^\d+/, ""), // NetHack prefixes the save name with the uid
+    size: data.length,
+    savedAt: Date.now(),
+  };
+  fs.writeFileSync(path.join(playerDir, file), data);
+  fs.writeFileSync(
+    path.join(playerDir, `${file}.json`),
+    JSON.stringify(saveInfo, null, 2)
+  );
+  console.log(`💾 Stored save ${file} for player ${playerId}`);
+  return saveInfo;
+}
+
+function deletePlayerSave(playerId, file) {
+  const savePath = path.join(SAVES_DIR, playerId, file);
+  fs.rmSync(savePath, { force: true });
+  fs.rmSync(`${savePath}.json`, { force: true });
+  console.log(`🗑️ Removed save ${file} for player ${playerId}`);
+}
+
+// --- Character creation ---
+// NetHack's shim window port hands player_selection to us. The roles, races,
+// genders and alignments it offers are read from role.c's tables in wasm
+// memory, and a choice is checked with the same allow masks as ok_role() and
+// friends before it goes into the flags.init* fields role_init() starts from.
+// The addresses belong to the pinned build checked in createNetHackContext(),
+// and nothing is written unless the memory there looks as expected.
+
+const ROLES_ADDR = 287760; // roles[] in wasm memory
+const ROLE_SIZE = 180;
+const ROLE_ALLOW_OFFSET = 124;
+const RACES_ADDR = 290416; // races[]
+const RACE_SIZE = 64;
+const RACE_ALLOW_OFFSET = 32;
+const GENDERS_ADDR = 290896; // genders[]
+const GENDER_SIZE = 24;
+const GENDER_ALLOW_OFFSET = 20;
+const ROLE_GENDERS = 2; // male and female; the neuter entry after them is for monsters
+const ALIGNS_ADDR = 291072; // aligns[]
+const ALIGN_SIZE = 16;
+const ALIGN_ADJ_OFFSET = 4;
+const ALIGN_ALLOW_OFFSET = 12;
+const ROLE_ALIGNS = 3; // lawful, neutral and chaotic; then the unaligned entry
+const ROLE_RACEMASK = 0x0ff8;
+const ROLE_GENDMASK = 0xf000;
+const ROLE_ALIGNMASK = 0x0007;
+const FLAGS_INITROLE_ADDR = 553504; // flags.initrole, followed by initrace, initgend and initalign
+const ROLE_NONE = -1; // What all four hold when no role options were given
+
+// Read role.c's tables, throwing if the memory does not hold what we expect
+function readCharacterData(Module) {
+  const readEntries = (addr, size, count, nameOffset, allowOffset) => {
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      const entry = addr + i * size;
+      const namePtr = Module.HEAPU32[(entry + nameOffset) >> 2];
+      if (!namePtr) {
+        break; // roles[] and races[] end with an empty entry
+      }
+      entries.push({
+        name: Module.UTF8ToString(namePtr),
+        allow: Module.HEAPU16[(entry + allowOffset) >> 1],
+      });
+    }
+    return entries;
+  };
+
+  const data = {
+    roles: readEntries(ROLES_ADDR, ROLE_SIZE, Infinity, 0, ROLE_ALLOW_OFFSET),
+    races: readEntries(RACES_ADDR, RACE_SIZE, Infinity, 0, RACE_ALLOW_OFFSET),
+    genders: readEntries(
+      GENDERS_ADDR,
+      GENDER_SIZE,
+      ROLE_GENDERS,
+      0,
+      GENDER_ALLOW_OFFSET
+    ),
+    aligns: readEntries(
+      ALIGNS_ADDR,
+      ALIGN_SIZE,
+      ROLE_ALIGNS,
+      ALIGN_ADJ_OFFSET,
+      ALIGN_ALLOW_OFFSET
+    ),
+  };
+  if (
+    data.roles.length === 0 ||
+    data.roles[0].name !== "Archeologist" ||
+    data.races.length === 0 ||
+    data.races[0].name !== "human" ||
+    data.genders.length !== ROLE_GENDERS ||
+    data.aligns.length !== ROLE_ALIGNS
+  ) {
+    throw new Error("Unexpected NetHack role data in wasm memory");
+  }
+  const flags = FLAGS_INITROLE_ADDR >> 2;
+  if (!Module.HEAP32.subarray(flags, flags + 4).every((v) => v === ROLE_NONE)) {
+    throw new Error(
+      `Expected flags.initrole and the fields after it at ${FLAGS_INITROLE_ADDR} to be unset`
+    );
+  }
+  return data;
+}
+
+// The checks ok_role(), ok_race(), ok_gend() and ok_align() make together
+function isCharacterAllowed(role, race, gender, align) {
+  const allow = role.allow & race.allow;
+  return (
+    (allow & ROLE_RACEMASK) !== 0 &&
+    (allow & gender.allow & ROLE_GENDMASK) !== 0 &&
+    (allow & align.allow & ROLE_ALIGNMASK) !== 0
+  );
+}
+
+// What the client's character dialog offers, with which pairs go together
+function describeCharacterChoices(data) {
+  const names = (entries) => entries.map((entry) => entry.name);
+  return {
+    roles: data.roles.map((role) => ({
+      name: role.name,
+      races: names(
+        data.races.filter((race) => role.allow & race.allow & ROLE_RACEMASK)
+      ),
+      genders: names(
+        data.genders.filter((gender) => role.allow & gender.allow & ROLE_GENDMASK)
+      ),
+      aligns: names(
+        data.aligns.filter((align) => role.allow & align.allow & ROLE_ALIGNMASK)
+      ),
+    })),
+    races: data.races.map((race) => ({
+      name: race.name,
+      aligns: names(
+        data.aligns.filter((align) => race.allow & align.allow & ROLE_ALIGNMASK)
+      ),
+    })),
+    genders: names(data.genders),
+    aligns: names(data.aligns),
+  };
+}
+
+// Turn the client's choice, where any field may be "random", into the indexes
+// of one valid character. Returns null if nothing matches the fixed fields.
+function resolveCharacter(data, choice) {
+  if (!choice || typeof choice !== "object") {
+    return null;
+  }
+  const matches = (entry, chosen) =>
+    !chosen || chosen === "random" || chosen === entry.name;
+  const candidates = [];
+  data.roles.forEach((role, roleIndex) => {
+    data.races.forEach((race, raceIndex) => {
+      data.genders.forEach((gender, genderIndex) => {
+        data.aligns.forEach((align, alignIndex) => {
+          if (
+            matches(role, choice.role) &&
+            matches(race, choice.race) &&
+            matches(gender, choice.gender) &&
+            matches(align, choice.align) &&
+            isCharacterAllowed(role, race, gender, align)
+          ) {
+            candidates.push([roleIndex, raceIndex, genderIndex, alignIndex]);
+          }
+        });
+      });
+    });
+  });
+  if (candidates.length === 0) {
+    return null;
+  }
+  return candidates[crypto.randomInt(candidates.length)];
+}
+
+// --- Extended commands ---
+// The glue cannot read shim_get_ext_cmd's arguments, so typing # is handled
+// here the way the tty port does it: the player types a command name, which
+// autocompletes, and NetHack gets back its index in cmd.c's extcmdlist[].
+// Like the role tables, the list is read from the pinned build's memory.
+
+const EXTCMDLIST_ADDR = 416512; // extcmdlist[] in wasm memory
+const EXTCMD_SIZE = 24; // struct ext_func_tab on wasm32
+const EXTCMD_TXT_OFFSET = 4;
+const EXTCMD_DESC_OFFSET = 8;
+const EXTCMD_FLAGS_OFFSET = 16;
+const EXTCMD_AUTOCOMPLETE = 0x0002;
+const EXTCMD_WIZMODECMD = 0x0004; // Only available in debug mode, which this server never starts
+const EXTCMD_MAX_TYPED = 32; // Longer than any command name
+
+// The extended commands a player can type, each with its extcmdlist[] index
+function readExtendedCommands(Module) {
+  const commands = [];
+  for (let index = 0; ; index++) {
+    const entry = EXTCMDLIST_ADDR + index * EXTCMD_SIZE;
+    const txtPtr = Module.HEAPU32[(entry + EXTCMD_TXT_OFFSET) >> 2];
+    if (!txtPtr) {
+      break; // extcmdlist[] ends with an empty entry
+    }
+    const descPtr = Module.HEAPU32[(entry + EXTCMD_DESC_OFFSET) >> 2];
+    commands.push({
+      index: index,
+      name: Module.UTF8ToString(txtPtr),
+      description: descPtr ? Module.UTF8ToString(descPtr) : "",
+      flags: Module.HEAPU32[(entry + EXTCMD_FLAGS_OFFSET) >> 2],
+    });
+  }
+  if (
+    commands.length === 0 ||
+    commands[0].name !== "#" ||
+    !commands.some((command) => command.name === "pray")
+  ) {
+    throw new Error("Unexpected NetHack extended command list in wasm memory");
+  }
+  // # itself would only ask again
+  return commands.filter(
+    (command) => command.index > 0 && !(command.flags & EXTCMD_WIZMODECMD)
+  );
+}
+
+// What the name typed so far stands for, as the tty's autocompletion would
+// have it: an exact name, else the one autocompleting command it starts
+function matchExtendedCommand(commands, typed) {
+  const exact = commands.find((command) => command.name === typed);
+  if (exact || typed === "") {
+    return exact || null;
+  }
+  const completions = commands.filter(
+    (command) =>
+      command.flags & EXTCMD_AUTOCOMPLETE && command.name.startsWith(typed)
+  );
+  return completions.length === 1 ? completions[0] : null;
+}
+
+// --- Game recording ---
+// Each game is written to RECORDINGS_DIR as JSON lines: a recording_start
+// header, then one {t, dir, msg} event per message, where t is milliseconds
+// since the game started and dir is "out" (server to client) or "in".
+// Anyone can download a recording, so nothing that identifies the player's
+// account goes in: no player id, and no name typed at the name prompt.
+
+class GameRecorder {
+  constructor(sessionId) {
+    this.startedAt = Date.now();
+    const stamp = new Date(this.startedAt).toISOString().replace(/[:.]/g, "-");
+    this.file = `${stamp}-session${sessionId}.jsonl`;
+    fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+    this.stream = fs.createWriteStream(path.join(RECORDINGS_DIR, this.file), {
+      flags: "a",
+    });
+    this.stream.on("error", (error) => {
+      console.log(`⚠️ Recording ${this.file} failed:`, error.message);
+    });
+    this.writeLine({
+      type: "recording_start",
+      version: 1,
+      sessionId: sessionId,
+      startedAt: this.startedAt,
+    });
+    console.log(`🎥 Recording session ${sessionId} to ${this.file}`);
+  }
+
+  record(direction, message) {
+    this.writeLine({ t: Date.now() - this.startedAt, dir: direction, msg: message });
+  }
+
+  writeLine(entry) {
+    if (this.stream) {
+      this.stream.write(JSON.stringify(entry) + "\n");
+    }
+  }
+
+  close() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+  }
+}
+
+function isValidRecordingFileName(file) {
+  return typeof file === "string" && /^[\w-]+\.jsonl$/.test(file);
+}
+
+function readRecordingHeader(file) {
+  const fd = fs.openSync(path.join(RECORDINGS_DIR, file), "r");
+  try {
+    const buffer = Buffer.alloc(4096);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    const firstLine = buffer.toString("utf8", 0, bytesRead).split("\n")[0];
+    return JSON.parse(firstLine);
+  } catch (error) {
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function listRecordings() {
+  if (!fs.existsSync(RECORDINGS_DIR)) {
+    return [];
+  }
+  return fs
+    .readdirSync(RECORDINGS_DIR)
+    .filter(isValidRecordingFileName)
+    .map((file) => {
+      const header = readRecordingHeader(file) || {};
+      return {
+        file: file,
+        sessionId: header.sessionId,
+        startedAt: header.startedAt,
+        size: fs.statSync(path.join(RECORDINGS_DIR, file)).size,
+      };
+    })
+    .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+// Returns the header and events of a recording, or null if there is no such file
+function readRecording(file) {
+  const recordingPath = path.join(RECORDINGS_DIR, file);
+  if (!isValidRecordingFileName(file) || !fs.existsSync(recordingPath)) {
+    return null;
+  }
+  const lines = fs
+    .readFileSync(recordingPath, "utf8")
+    .split("\n")
+    .filter((line) => line.trim());
+  const entries = [];
+  for (const line of lines) {
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // The last line of a game that is still running may be half written
+    }
+  }
+  return { header: entries[0], events: entries.slice(1) };
+}
+
+// NetHack colour index to the ANSI SGR sequence a tty would use for it
+function ttyColor(color) {
+  if (typeof color !== "number" || color === 8 || color < 0 || color > 15) {
+    return "\x1b[0m"; // NO_COLOR
+  }
+  if (color === 0) {
+    return "\x1b[0;1;30m"; // CLR_BLACK is unreadable on a black terminal
+  }
+  return color < 8 ? `\x1b[0;${30 + color}m` : `\x1b[0;1;${30 + color - 8}m`;
+}
+
+// Render a recording as ttyrec frames (12 byte header of seconds, microseconds
+// and length, then the terminal output) laid out like the tty interface: the
+// message line on top, the map below it and the status on the bottom line.
+function recordingToTtyrec(recording) {
+  const frames = [];
+  const statusValues = new Map();
+
+  const addFrame = (t, output) => {
+    const timestamp = recording.header.startedAt + t;
+    const data = Buffer.from(output, "utf8");
+    const frameHeader = Buffer.alloc(12);
+    frameHeader.writeUInt32LE(Math.floor(timestamp / 1000), 0);
+    frameHeader.writeUInt32LE((timestamp % 1000) * 1000, 4);
+    frameHeader.writeUInt32LE(data.length, 8);
+    frames.push(frameHeader, data);
+  };
+
+  addFrame(0, "\x1b[2J\x1b[H");
+  for (const event of recording.events) {
+    const message = event.msg;
+    if (event.dir !== "out" || !message) {
+      continue;
+    }
+
+    switch (message.type) {
+      case "map_glyph":
+        if (message.isRefresh) {
+          break; // Resent for one client, nothing changed in the game
+        }
+        addFrame(
+          event.t,
+          `\x1b[${message.y + 2};${message.x}H${ttyColor(message.color)}${
+            message.char || " "
+          }\x1b[0m`
+        );
+        break;
+      case "clear_scene":
+        addFrame(event.t, "\x1b[2J");
+        break;
+      case "text":
+      case "raw_print":
+      case "question":
+      case "direction_question":
+        if (message.type === "text" && message.window !== 1) {
+          break; // Only the message window has a line on the tty screen
+        }
+        addFrame(event.t, `\x1b[1;1H\x1b[K${message.text}`);
+        break;
+      case "status_update":
+        statusValues.set(message.field, message.value);
+        addFrame(
+          event.t,
+          `\x1b[24;1H\x1b[K${Array.from(statusValues.keys())
+            .sort((a, b) => a - b)
+            .map((field) => statusValues.get(field))
+            .join(" ")}`
+        );
+        break;
+      case "player_position":
+        addFrame(event.t, `\x1b[${message.y + 2};${message.x}H`);
+        break;
+    }
+  }
+  return Buffer.concat(frames);
+}
+
+// --- Player options ---
+// The NetHack options a player may set, turned into NETHACKOPTIONS when their
+// next game starts. Anything not listed here is rejected rather than passed
+// through, since the string goes straight into the game's environment.
+
+const PLAYER_OPTIONS = {
+  autopickup: { type: "boolean", default: true, label: "Pick up items automatically" },
+  pickup_types: {
+    type: "string",
+    default: "$",
+    pattern: /^[$?!/="+%*()[\]`0_]*$/,
+    maxLength: 20,
+    label: "Object classes to autopickup (e.g. $?!/=\"+)",
+  },
+  pile_limit: {
+    type: "number",
+    default: 5,
+    min: 0,
+    max: 100,
+    label: "Items in a pile before it is shown as a menu",
+  },
+  number_pad: {
+    type: "boolean",
+    default: true,
+    label: "Move with the number pad (off: vi-keys hjklyubn)",
+  },
+  autoopen: { type: "boolean", default: true, label: "Open doors by walking into them" },
+  autodig: { type: "boolean", default: false, label: "Dig by walking into walls while wielding a digging tool" },
+  autoquiver: { type: "boolean", default: false, label: "Fill an empty quiver automatically" },
+  rest_on_space: { type: "boolean", default: false, label: "Space bar rests" },
+  safe_pet: { type: "boolean", default: true, label: "Ask before attacking your pet" },
+  confirm: { type: "boolean", default: true, label: "Ask before attacking peaceful monsters" },
+  verbose: { type: "boolean", default: true, label: "Verbose messages" },
+  showexp: { type: "boolean", default: false, label: "Show experience points" },
+  showscore: { type: "boolean", default: false, label: "Show score" },
+  pettype: {
+    type: "choice",
+    default: "random",
+    choices: ["random", "cat", "dog", "horse", "none"],
+    label: "Starting pet",
+  },
+  fruit: {
+    type: "string",
+    default: "slime mold",
+    pattern: /^[A-Za-z ]+$/,
+    maxLength: 30,
+    label: "Favourite fruit",
+  },
+};
+
+function getDefaultPlayerOptions() {
+  const options = {};
+  for (const [name, definition] of Object.entries(PLAYER_OPTIONS)) {
+    options[name] = definition.default;
+  }
+  return options;
+}
+
+// The option list as the client's options screen needs it
+function describePlayerOptions() {
+  return Object.entries(PLAYER_OPTIONS).map(([name, definition]) => ({
+    name: name,
+    type: definition.type,
+    label: definition.label,
+    default: definition.default,
+    choices: definition.choices,
+    min: definition.min,
+    max: definition.max,
+    maxLength: definition.maxLength,
+  }));
+}
+
+// Check options sent by a client. Returns the full option set (defaults for
+// anything not given) and a list of problems; nothing is usable if there are any.
+function validatePlayerOptions(input) {
+  const options = getDefaultPlayerOptions();
+  const errors = [];
+  if (!input || typeof input !== "object") {
+    return { options, errors: ["Options must be an object"] };
+  }
+
+  for (const [name, value] of Object.entries(input)) {
+    const definition = PLAYER_OPTIONS[name];
+    if (!definition) {
+      errors.push(`Unknown option ${name}`);
+      continue;
+    }
+
+    if (definition.type === "boolean" && typeof value !== "boolean") {
+      errors.push(`${name} must be on or off`);
+    } else if (
+      definition.type === "number" &&
+      (!Number.isInteger(value) || value < definition.min || value > definition.max)
+    ) {
+      errors.push(`${name} must be a whole number from ${definition.min} to ${definition.max}`);
+    } else if (
+      definition.type === "string" &&
+      (typeof value !== "string" ||
+        value.length > definition.maxLength ||
+        !definition.pattern.test(value))
+    ) {
+      errors.push(`${name} contains characters NetHack does not allow there`);
+    } else if (definition.type === "choice" && !definition.choices.includes(value)) {
+      errors.push(`${name} must be one of ${definition.choices.join(", ")}`);
+    } else {
+      options[name] = value;
+    }
+  }
+  return { options, errors };
+}
+
+function readPlayerOptions(playerId) {
+  const profilePath = path.join(PLAYERS_DIR, `${playerId}.json`);
+  if (!isValidPlayerId(playerId) || !fs.existsSync(profilePath)) {
+    return getDefaultPlayerOptions();
+  }
+  try {
+    const profile = JSON.parse(fs.readFileSync(profilePath, "utf8"));
+    // Re-check in case the option list has changed since they were stored
+    return validatePlayerOptions(profile.options).options;
+  } catch (error) {
+    console.log(`⚠️ Could not read options for player ${playerId}:`, error.message);
+    return getDefaultPlayerOptions();
+  }
+}
+
+function writePlayerOptions(playerId, options) {
+  fs.mkdirSync(PLAYERS_DIR, { recursive: true });
+  fs.writeFileSync(
+    path.join(PLAYERS_DIR, `${playerId}.json`),
+    JSON.stringify({ options: options, updatedAt: Date.now() }, null, 2)
+  );
+  console.log(`⚙️ Stored options for player ${playerId}`);
+}
+
+// Turn validated options into the NETHACKOPTIONS string
+function buildNetHackOptions(options) {
+  const parts = [];
+  for (const [name, definition] of Object.entries(PLAYER_OPTIONS)) {
+    const value = options[name];
+    if (definition.type === "boolean") {
+      parts.push(value ? name : `!${name}`);
+    } else if (value !== "" && value !== "random") {
+      parts.push(`${name}:${value}`);
+    }
+  }
+  // The status line turn counter drives replay seeking, so it is always on
+  parts.push("time");
+  return parts.join(",");
+}
+
+// --- Player names ---
+// NetHack keeps the name in a 32 byte buffer and treats "-" as the start of a
+// role suffix ("name-Val"), and the name ends up in save and bones file names,
+// so only plain characters are accepted.
+
+const PLAYER_NAME_MAX_LENGTH = 30;
+const PLAYER_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 _.']*$/;
+
+// Returns a message describing what is wrong with the name, or null if it is fine
+function validatePlayerName(name) {
+  if (typeof name !== "string" || name.trim().length === 0) {
+    return "Please enter a name";
+  }
+  if (name.trim().length > PLAYER_NAME_MAX_LENGTH) {
+    return `Names can be at most ${PLAYER_NAME_MAX_LENGTH} characters long`;
+  }
+  if (!PLAYER_NAME_PATTERN.test(name.trim())) {
+    return "Names may only use letters, digits, spaces and _ . '";
+  }
+  return null;
+}
+
+// --- Glyph classification ---
+// Glyph numbers are ranges laid out by the game (monsters, pets, objects,
+// map symbols, ...). The range offsets are read from the GLYPH constants the
+// game fills in at startup, so the client never has to guess from numbers.
+
+const CMAP_TRAP_FIRST = 42; // S_arrow_trap
+const CMAP_TRAP_LAST = 64; // S_vibrating_square
+const EXPLOSION_TYPES = ["dark", "noxious", "muddy", "wet", "magical", "fiery", "frosty"];
+const ZAP_TYPES = ["magic_missile", "fire", "cold", "sleep", "death", "lightning", "poison_gas", "acid"];
+const SWALLOW_PARTS = ["tl", "tc", "tr", "ml", "mr", "bl", "bc", "br"];
+const OBJECT_CLASS_SYMBOLS = {
+  ")": "weapon",
+  "[": "armor",
+  "=": "ring",
+  '"': "amulet",
+  "(": "tool",
+  "%": "food",
+  "!": "potion",
+  "?": "scroll",
+  "+": "spellbook",
+  "/": "wand",
+  $: "coin",
+  "*": "gem",
+  "`": "rock",
+  "0": "ball",
+  _: "chain",
+  ".": "venom",
+};
+
+// Returns { class, index } for a glyph, plus a variant where the range has
+// several kinds of the same thing (pets, explosion types, ...). The index is
+// the monster id, object id, cmap symbol id, trap type or warning level;
+// objects also get their objectClass and traps their cmap symbol.
+function classifyGlyph(glyph, offsets, char) {
+  if (!offsets || typeof offsets.GLYPH_MON_OFF !== "number") {
+    return null;
+  }
+
+  if (glyph >= offsets.GLYPH_NOTHING_OFF) {
+    return { class: "nothing", index: 0 };
+  }
+  if (glyph >= offsets.GLYPH_UNEXPLORED_OFF) {
+    return { class: "unexplored", index: 0 };
+  }
+  if (glyph >= offsets.GLYPH_STATUE_OFF) {
+    return { class: "statue", index: glyph - offsets.GLYPH_STATUE_OFF };
+  }
+  if (glyph >= offsets.GLYPH_WARNING_OFF) {
+    return { class: "warning", index: glyph - offsets.GLYPH_WARNING_OFF };
+  }
+  if (glyph >= offsets.GLYPH_SWALLOW_OFF) {
+    const offset = glyph - offsets.GLYPH_SWALLOW_OFF;
+    return {
+      class: "swallow",
+      index: Math.floor(offset / SWALLOW_PARTS.length),
+      variant: SWALLOW_PARTS[offset % SWALLOW_PARTS.length],
+    };
+  }
+  if (glyph >= offsets.GLYPH_ZAP_OFF) {
+    const offset = glyph - offsets.GLYPH_ZAP_OFF;
+    return {
+      class: "zap",
+      index: offset % 4, // vertical, horizontal, left and right slant
+      variant: ZAP_TYPES[Math.floor(offset / 4)] || null,
+    };
+  }
+  if (glyph >= offsets.GLYPH_EXPLODE_OFF) {
+    const offset = glyph - offsets.GLYPH_EXPLODE_OFF;
+    return {
+      class: "explode",
+      index: offset % 9, // position in the 3x3 explosion
+      variant: EXPLOSION_TYPES[Math.floor(offset / 9)] || null,
+    };
+  }
+  if (glyph >= offsets.GLYPH_CMAP_OFF) {
+    const symbol = glyph - offsets.GLYPH_CMAP_OFF;
+    if (symbol >= CMAP_TRAP_FIRST && symbol <= CMAP_TRAP_LAST) {
+      // Trap types start at 1 (ARROW_TRAP)
+      return { class: "trap", index: symbol - CMAP_TRAP_FIRST + 1, symbol: symbol };
+    }
+    return { class: "cmap", index: symbol };
+  }
+  if (glyph >= offsets.GLYPH_OBJ_OFF) {
+    // Objects of a class share a default symbol, which mapglyph gives us
+    return {
+      class: "object",
+      index: glyph - offsets.GLYPH_OBJ_OFF,
+      objectClass: OBJECT_CLASS_SYMBOLS[char] || null,
+    };
+  }
+  if (glyph >= offsets.GLYPH_RIDDEN_OFF) {
+    return { class: "monster", index: glyph - offsets.GLYPH_RIDDEN_OFF, variant: "ridden" };
+  }
+  if (glyph >= offsets.GLYPH_BODY_OFF) {
+    return { class: "body", index: glyph - offsets.GLYPH_BODY_OFF };
+  }
+  if (glyph >= offsets.GLYPH_DETECT_OFF) {
+    return { class: "monster", index: glyph - offsets.GLYPH_DETECT_OFF, variant: "detected" };
+  }
+  if (glyph >= offsets.GLYPH_INVIS_OFF) {
+    return { class: "invisible", index: 0 };
+  }
+  if (glyph >= offsets.GLYPH_PET_OFF) {
+    return { class: "monster", index: glyph - offsets.GLYPH_PET_OFF, variant: "pet" };
+  }
+  return { class: "monster", index: glyph - offsets.GLYPH_MON_OFF, variant: null };
+}
+
+// --- Leaderboard ---
+// A game that ends writes a line to the xlogfile in its own virtual
+// filesystem, which disappears with the session, so the lines are merged into
+// one leaderboard on disk as each game exits.
+
+const LEADERBOARD_DEFAULT_LIMIT = 100;
+const LEADERBOARD_MAX_LIMIT = 1000;
+
+// xlogfile lines are tab-separated key=value fields
+function parseXlogLine(line) {
+  const fields = {};
+  for (const field of line.split("\t")) {
+    const separator = field.indexOf("=");
+    if (separator > 0) {
+      fields[field.slice(0, separator)] = field.slice(separator + 1);
+    }
+  }
+  return fields;
+}
+
+function toLeaderboardEntry(fields) {
+  const deathdate = String(fields.deathdate || "");
+  return {
+    name: fields.name || "",
+    role: fields.role || "",
+    race: fields.race || "",
+    gender: fields.gender || "",
+    align: fields.align || "",
+    points: parseInt(fields.points, 10) || 0,
+    turns: parseInt(fields.turns, 10) || 0,
+    deathlev: parseInt(fields.deathlev, 10) || 0,
+    maxlvl: parseInt(fields.maxlvl, 10) || 0,
+    death: fields.death || "",
+    // YYYYMMDD in the xlogfile, ISO here so dates compare as strings
+    date: /^\d{8}$/.test(deathdate)
+      ? `${deathdate.slice(0, 4)}-${deathdate.slice(4, 6)}-${deathdate.slice(6)}`
+      : "",
+    starttime: parseInt(fields.starttime, 10) || 0,
+    endtime: parseInt(fields.endtime, 10) || 0,
+  };
+}
+
+function leaderboardKey(entry) {
+  return `${entry.name}|${entry.starttime}|${entry.endtime}|${entry.points}`;
+}
+
+function readLeaderboard() {
+  if (!fs.existsSync(LEADERBOARD_PATH)) {
+    return [];
+  }
+  try {
+    return JSON.parse(fs.readFileSync(LEADERBOARD_PATH, "utf8"));
+  } catch (error) {
+    console.log("⚠️ Could not read leaderboard:", error.message);
+    return [];
+  }
+}
+
+// Add the entries not already on the leaderboard; returns how many were new
+function mergeLeaderboardEntries(entries) {
+  const leaderboard = readLeaderboard();
+  const known = new Set(leaderboard.map(leaderboardKey));
+  const added = entries.filter((entry) => !known.has(leaderboardKey(entry)));
+  if (added.length === 0) {
+    return 0;
+  }
+  leaderboard.push(...added);
+  leaderboard.sort((a, b) => b.points - a.points || a.endtime - b.endtime);
+  fs.writeFileSync(LEADERBOARD_PATH, JSON.stringify(leaderboard, null, 2));
+  console.log(`🏆 Added ${added.length} game(s) to the leaderboard`);
+  return added.length;
+}
+
+// Filters are optional: role and race as the xlogfile abbreviates them
+// ("Val", "Hum"), from and to as YYYY-MM-DD, both inclusive
+function filterLeaderboard(leaderboard, { role, race, from, to }) {
+  return leaderboard.filter(
+    (entry) =>
+      (!role || entry.role === role) &&
+      (!race || entry.race === race) &&
+      (!from || entry.date >= from) &&
+      (!to || entry.date <= to)
+  );
+}
 
 class NetHackSession {
-  constructor(ws) {
+  constructor(ws, id, playerId) {
     this.ws = ws;
+    this.id = id;
+    this.playerId = playerId; // Owner of any save files this game writes
+    this.token = crypto.randomBytes(16).toString("hex"); // Presented by the client to resume this game
+    this.detachedAt = null; // When the last socket went away, null while attached
+    this.reapTimer = null;
+    this.context = null; // Private V8 context holding this game's globals
+    this.nethackGlobal = null;
+    this.nethackModule = null;
     this.nethackInstance = null;
     this.gameMap = new Map();
     this.playerPosition = { x: 0, y: 0 };
-    this.gameMessages = [];
+    this.gameMessages = []; // Every message of the game, so a reconnecting client gets its whole log
+    this.endOfGameLines = null; // Windows shown once the game starts disclosing its end
+    this.messageHistoryQueue = []; // Messages left to hand shim_getmsghistory while saving
+    this.messageHistoryPtr = 0; // Last message string handed back to NetHack
     this.currentMenuItems = [];
+    this.currentMenuPrompt = null; // Prompt passed to shim_end_menu, asked in shim_select_menu
+    this.currentMenuIsInventory = false; // Whether the menu went out as an inventory_update
     this.currentWindow = null;
+    // The message, map and inventory windows NetHack creates at startup keep
+    // their type as id (1, 3, 4); every menu or text window after them gets
+    // its own id so they can be told apart
+    this.createdWindowTypes = new Set();
+    this.nextWindowId = FIRST_TRANSIENT_WINDOW_ID;
+    this.windowTypes = new Map(); // window id -> NHW_* type
+    this.windowLines = new Map(); // text/menu window id -> [{text, attr}] since last cleared
     this.hasShownCharacterSelection = false;
     this.lastQuestionText = null; // Store the last question for menu expansion
 
-    // Multi-pickup selection tracking
-    this.menuSelections = new Map(); // Track selected items: key=menuChar, value={menuChar, originalAccelerator, menuIndex}
-    this.isInMultiPickup = false;
-    this.waitingForMenuSelection = false;
-    this.menuSelectionResolver = null;
-    this.multiPickupReadyToConfirm = false;
+    // Last known state, replayed to a client that reattaches to this game
+    this.statusFields = new Map(); // key=status field id, value=last status_update message
+    this.currentInventory = [];
+    this.pendingPrompt = null; // Question the game is currently blocked on
+
+    // The menu shim_select_menu is waiting on: {how, items, selected, count, menuListPtr, resolve}
+    // where selected maps an item's accelerator to its count (-1 for all) and
+    // count is one being typed before an item's key
+    this.activeMenu = null;
 
     // Simplified input handling with async support
     this.latestInput = null;
+    this.queuedInputs = []; // Keys that arrived while NetHack was busy, oldest first
     this.waitingForInput = false;
     this.waitingForPosition = false;
     this.inputResolver = null;
     this.positionResolver = null;
+    this.nameResolver = null; // Set while shim_askname waits for the player's name
+    this.textWindowResolver = null; // Set while a displayed text window waits to be dismissed
+    this.extendedCommands = null; // Typeable extcmdlist[] entries, read the first time # is used
+    this.extendedCommand = null; // {typed, resolve} while shim_get_ext_cmd waits for a name
+    this.hasUnreadMessages = false; // Messages shown since the player last pressed a key
 
     // Add cooldown for position requests
     this.lastInputTime = 0;
     this.inputCooldown = 100; // 100ms cooldown
 
-    this.initializeNetHack();
+    this.hasStarted = false;
+    this.restoreSave = null; // Save being restored, until NetHack confirms it loaded
+    this.restoreMessages = []; // What NetHack printed while restoring it
+    this.characterData = null; // role.c tables while NetHack waits for a character
+    this.characterResolver = null; // Set while shim_player_selection waits for the choice
+    this.options = null; // Player options this game was started with
+    this.recorder = null; // GameRecorder for this game once it has started
+    this.spectators = new Set(); // Read-only sockets watching this game
+    this.playerName = null; // Known once the player has named their character
+    this.startedAt = null;
+    this.isClosed = false;
+  }
+
+  // Boot NetHack, either from a save previously read with readPlayerSave() or
+  // as a new game, whose character is asked for once NetHack wants it
+  start(restoreSave = null) {
+    if (this.hasStarted) {
+      return;
+    }
+    this.hasStarted = true;
+    this.startedAt = Date.now();
+    this.restoreSave = restoreSave;
+    this.options = readPlayerOptions(this.playerId);
+    if (restoreSave) {
+      this.playerName = restoreSave.name;
+    }
+    this.recorder = new GameRecorder(this.id);
+    this.initializeNetHack().catch((error) => this.handleNetHackCrash(error));
+  }
+
+  // Point this game at a new socket, replacing whichever one it had before
+  attach(ws) {
+    if (this.ws && this.ws !== ws && this.ws.readyState === 1) {
+      console.log(`🔌 Session ${this.id} taken over by a new connection`);
+      this.ws.close(4000, "Session resumed from another connection");
+    }
+    this.ws = ws;
+    this.detachedAt = null;
+    if (this.reapTimer) {
+      clearTimeout(this.reapTimer);
+      this.reapTimer = null;
+    }
+  }
+
+  // Forget the given socket if it is still the one this game talks to.
+  // Returns true when the game is left without a client.
+  detach(ws) {
+    if (this.ws !== ws) {
+      return false;
+    }
+    this.ws = null;
+    this.detachedAt = Date.now();
+    return true;
+  }
+
+  // Snapshot of everything the client needs to rebuild its scene in one pass
+  getFullState() {
+    return {
+      type: "full_state",
+      tiles: Array.from(this.gameMap.values()).map((tileData) => ({
+        x: tileData.x,
+        y: tileData.y,
+        glyph: tileData.glyph,
+        char: tileData.char,
+        color: tileData.color,
+        category: tileData.category,
+      })),
+      playerPosition: { ...this.playerPosition },
+      statusFields: Array.from(this.statusFields.values()),
+      inventory: this.currentInventory,
+      messages: this.gameMessages,
+      prompt: this.pendingPrompt,
+    };
+  }
+
+  // Handle request for the full game state from client
+  handleFullStateRequest() {
+    if (!this.ws || this.ws.readyState !== 1) {
+      return;
+    }
+
+    const fullState = this.getFullState();
+    console.log(
+      `📤 Sending full state for session ${this.id}: ${fullState.tiles.length} tiles, ${fullState.statusFields.length} status fields, ${fullState.messages.length} messages`
+    );
+    this.sendReply(fullState);
+  }
+
+  // Send the player the previous messages for the ^P viewer
+  handleMessageHistoryRequest() {
+    if (!this.ws || this.ws.readyState !== 1) {
+      return;
+    }
+
+    const messages = this.getMessageHistory();
+    console.log(`📜 Sending ${messages.length} previous messages`);
+    this.ws.send(JSON.stringify({ type: "message_history", messages: messages }));
+  }
+
+  // Answer a request from the player's own socket. Spectators and the
+  // recording only see game output, so these replies skip sendToClient
+  sendReply(message) {
+    if (this.ws && this.ws.readyState === 1) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  // Every message for the client goes through here so it can be recorded,
+  // including the ones sent while no client is attached
+  sendToClient(message) {
+    if (this.recorder) {
+      this.recorder.record("out", message);
+    }
+    const data = JSON.stringify(message);
+    if (this.ws && this.ws.readyState === 1) {
+      this.ws.send(data);
+    }
+    for (const spectator of this.spectators) {
+      if (spectator.readyState === 1) {
+        spectator.send(data);
+      }
+    }
+  }
+
+  // Start streaming this game to a read-only socket, beginning with a snapshot
+  addSpectator(ws) {
+    this.spectators.add(ws);
+    console.log(
+      `👀 Spectator joined session ${this.id} (${this.spectators.size} watching)`
+    );
+    ws.send(
+      JSON.stringify({
+        type: "spectate",
+        sessionId: this.id,
+        playerName: this.playerName,
+      })
+    );
+    ws.send(JSON.stringify(this.getFullState()));
+  }
+
+  removeSpectator(ws) {
+    if (this.spectators.delete(ws)) {
+      console.log(
+        `👀 Spectator left session ${this.id} (${this.spectators.size} watching)`
+      );
+    }
+  }
+
+  // What the list of watchable games shows; no tokens or player ids
+  getSummary() {
+    const levelStatus = this.statusFields.get(BL_LEVELDESC);
+    const timeStatus = this.statusFields.get(BL_TIME);
+    return {
+      sessionId: this.id,
+      playerName: this.playerName,
+      startedAt: this.startedAt,
+      hasStarted: this.hasStarted,
+      playerConnected: this.ws !== null,
+      spectators: this.spectators.size,
+      // Where "Dlvl:3" is not a number (the Planes, Fort Ludios) dlevel is
+      // null and location says where
+      location: levelStatus ? String(levelStatus.value).trim() : null,
+      dlevel: levelStatus
+        ? parseInt(String(levelStatus.value).replace(/^\D+/, ""), 10) || null
+        : null,
+      turn: timeStatus ? parseInt(timeStatus.value, 10) || 0 : 0,
+    };
+  }
+
+  // Latest value of each status field, by name. Gold comes with its coin
+  // glyph encoded as "\G<hex>", which is put back as "$".
+  getStatus() {
+    const status = {};
+    for (const [field, statusMessage] of this.statusFields) {
+      if (field < 0) {
+        continue; // BL_FLUSH and BL_RESET carry no value
+      }
+      const name = STATUS_FIELD_NAMES[field] || `field${field}`;
+      status[name] =
+        typeof statusMessage.value === "string"
+          ? statusMessage.value.replace(/\\G[0-9A-Fa-f]{8}/g, "$").trim()
+          : statusMessage.value;
+    }
+    return status;
+  }
+
+  // The inventory as the game last sent it, each item under its class heading
+  getInventory() {
+    const inventory = [];
+    let category = null;
+    for (const item of this.currentInventory) {
+      if (item.isCategory) {
+        category = item.text;
+      } else {
+        inventory.push({
+          accelerator: item.accelerator,
+          text: item.text,
+          category: category,
+        });
+      }
+    }
+    return inventory;
+  }
+
+  // End the game from outside, as the REST API's kill does
+  kill(reason) {
+    console.log(`☠️ Killing session ${this.id}: ${reason}`);
+    const ws = this.ws;
+    this.close();
+    if (ws && ws.readyState === 1) {
+      ws.close(1000, reason);
+    }
+  }
+
+  // Tear down this game when its player disconnects. Any callback NetHack is
+  // parked in is left unresolved so the WASM instance stays asleep until the
+  // context is garbage collected instead of spinning on empty input.
+  close() {
+    console.log(`🛑 Closing NetHack session ${this.id}`);
+    this.isClosed = true;
+    this.ws = null;
+    if (this.reapTimer) {
+      clearTimeout(this.reapTimer);
+      this.reapTimer = null;
+    }
+    this.inputResolver = null;
+    this.positionResolver = null;
+    this.activeMenu = null;
+    this.nameResolver = null;
+    this.characterResolver = null;
+    this.textWindowResolver = null;
+    this.extendedCommand = null;
+    if (this.recorder) {
+      this.recorder.close();
+      this.recorder = null;
+    }
+    for (const spectator of this.spectators) {
+      if (spectator.readyState === 1) {
+        spectator.close(1000, "Game ended");
+      }
+    }
+    this.spectators.clear();
+    this.waitingForInput = false;
+    this.waitingForPosition = false;
+    if (this.context) {
+      // A game that is still running parks at its next callback
+      this.context.nethackCallback = () => new Promise(() => {});
+    }
   }
 
   // Handle incoming input from the client
   handleClientInput(input) {
     console.log("🎮 Received client input:", input);
+    if (this.recorder) {
+      this.recorder.record("in", { type: "input", input: input });
+    }
+
+    // ^P is answered here: this build's glue reads an argument that
+    // shim_doprev_message doesn't have and throws before reaching us
+    if (input === "\x10") {
+      this.handleMessageHistoryRequest();
+      return;
+    }
 
     // Store the input for potential reuse
     this.latestInput = input;
     this.lastInputTime = Date.now();
+    this.hasUnreadMessages = false;
+
+    // Any key dismisses a text window or --More--, as at a tty
+    if (this.textWindowResolver) {
+      console.log("📜 Text window dismissed with:", input);
+      const resolver = this.textWindowResolver;
+      this.textWindowResolver = null;
+      this.pendingPrompt = null;
+      resolver(0);
+      return;
+    }
+
+    // Keys typed while a menu is up pick from it
+    if (this.activeMenu) {
+      this.handleMenuKey(input);
+      return;
+    }
+
+    // Keys typed after # spell out an extended command
+    if (this.extendedCommand) {
+      this.handleExtendedCommandKey(input);
+      return;
+    }
+
+    // If we're waiting for general input, resolve the promise immediately
+    if (this.waitingForInput && this.inputResolver) {
+      console.log("🎮 Resolving waiting input promise with:", input);
+      this.waitingForInput = false;
+      const resolver = this.inputResolver;
+      this.inputResolver = null;
+      this.pendingPrompt = null;
+      resolver(this.processKey(input));
+      return;
+    }
+
+    // If we're waiting for position input, resolve that promise
+    if (this.waitingForPosition && this.positionResolver) {
+      console.log("🎮 Resolving waiting position promise with:", input);
+      this.waitingForPosition = false;
+      const resolver = this.positionResolver;
+      this.positionResolver = null;
+      resolver(this.processKey(input));
+      return;
+    }
+
+    // Otherwise keep it, in order, until NetHack next reads a key; clients send
+    // multi-key commands (like a G prefix and its direction) back to back
+    console.log("🎮 Queueing input for later use:", input);
+    this.queuedInputs.push(input);
+  }
+
+  // The oldest key the game has not read yet, translated, or null
+  takeQueuedInput() {
+    if (this.queuedInputs.length === 0) {
+      return null;
+    }
+    const input = this.queuedInputs.shift();
+    this.latestInput = null; // Don't let the cooldown reuse hand it out twice
+    console.log("🎮 Using queued input:", input);
+    return this.processKey(input);
+  }
+
+  // A key pressed in the active menu: an accelerator picks (PICK_ONE) or
+  // toggles (PICK_ANY) its item, digits before it are a count, Enter
+  // confirms and Escape cancels
+  handleMenuKey(input) {
+    const menu = this.activeMenu;
+    // As in the tty menus, a digit is a count unless an item is picked with it
+    if (
+      /^[0-9]$/.test(input) &&
+      !menu.items.some(
+        (menuItem) => !menuItem.isCategory && menuItem.accelerator === input
+      )
+    ) {
+      menu.count = menu.count * 10 + Number(input);
+      return;
+    }
+    const count = menu.count > 0 ? menu.count : -1;
+    menu.count = 0;
+
+    // Read-only menus only wait to be dismissed
+    if (menu.how === PICK_NONE) {
+      if (["Escape", "Enter", "\r", "\n", " "].includes(input)) {
+        this.finishMenu([]);
+      }
+      return;
+    }
 
-    // Track multi-pickup selections
-    if (this.isInMultiPickup && input.match(/^[a-zA-Z]$/)) {
-      // Find the menu item for this accelerator
-      const menuItem = this.currentMenuItems.find(
-        (item) => item.accelerator === input && !item.isCategory
+    if (input === "Escape") {
+      this.finishMenu(null);
+      return;
+    }
+    if (input === "Enter" || input === "\r" || input === "\n") {
+      this.finishMenu(
+        Array.from(menu.selected, ([accelerator, count]) => ({
+          accelerator,
+          count,
+        }))
       );
-      if (menuItem) {
-        if (this.menuSelections.has(input)) {
-          // Deselect item
-          this.menuSelections.delete(input);
-          console.log(
-            `📋 Deselected item: ${input} (${menuItem.text}). Current selections:`,
-            Array.from(this.menuSelections.keys())
-          );
-        } else {
-          // Select item - store complete information
-          this.menuSelections.set(input, {
-            menuChar: input,
-            originalAccelerator: menuItem.originalAccelerator,
-            menuIndex: menuItem.menuIndex,
-            text: menuItem.text,
-          });
-          console.log(
-            `📋 Selected item: ${input} (${menuItem.text}). Current selections:`,
-            Array.from(this.menuSelections.keys())
-          );
-        }
-      } else {
-        console.log(
-          `📋 Warning: No menu item found for accelerator '${input}'`
+      return;
+    }
+
+    const item = menu.items.find(
+      (menuItem) => !menuItem.isCategory && menuItem.accelerator === input
+    );
+    if (!item) {
+      console.log(`📋 No menu item for key '${input}'`);
+      return;
+    }
+    if (menu.how === PICK_ONE) {
+      this.finishMenu([{ accelerator: input, count: count }]);
+    } else if (menu.selected.has(input) && count === -1) {
+      menu.selected.delete(input);
+      console.log(`📋 Deselected item: ${input} (${item.text})`);
+    } else {
+      menu.selected.set(input, count);
+      console.log(`📋 Selected item: ${input} (${item.text}) x${count}`);
+    }
+  }
+
+  // Edit the extended command name being typed, as at the tty's # prompt
+  handleExtendedCommandKey(input) {
+    const prompt = this.extendedCommand;
+    if (input === "Escape") {
+      this.finishExtendedCommand(-1);
+      return;
+    }
+    if (input === "Enter" || input === "\r" || input === "\n") {
+      if (prompt.typed === "") {
+        this.finishExtendedCommand(-1);
+        return;
+      }
+      const command = matchExtendedCommand(this.extendedCommands, prompt.typed);
+      if (!command) {
+        this.sendExtendedCommandPrompt(
+          `${prompt.typed}: unknown extended command`
+        );
+        return;
+      }
+      this.finishExtendedCommand(command.index);
+      return;
+    }
+
+    if (input === "Backspace") {
+      prompt.typed = prompt.typed.slice(0, -1);
+    } else if (
+      input.length === 1 &&
+      input >= " " &&
+      prompt.typed.length < EXTCMD_MAX_TYPED
+    ) {
+      prompt.typed += input;
+    } else {
+      return;
+    }
+    this.sendExtendedCommandPrompt();
+  }
+
+  // Handle a command clicked in the client's extended command dialog
+  handleExtendedCommand(name) {
+    if (this.recorder) {
+      this.recorder.record("in", { type: "extended_command", command: name });
+    }
+    if (!this.extendedCommand) {
+      console.log("⚠️ Ignoring extended command - NetHack is not asking for one");
+      return;
+    }
+    this.extendedCommand.typed = String(name).slice(0, EXTCMD_MAX_TYPED);
+    this.handleExtendedCommandKey("Enter");
+  }
+
+  sendExtendedCommandPrompt(error = null) {
+    const typed = this.extendedCommand.typed;
+    const match = matchExtendedCommand(this.extendedCommands, typed);
+    this.pendingPrompt = {
+      type: "extended_command",
+      typed: typed,
+      completion: match ? match.name : null,
+      commands: this.extendedCommands.map(({ name, description }) => ({
+        name,
+        description,
+      })),
+      error: error,
+    };
+    this.sendToClient(this.pendingPrompt);
+  }
+
+  // Hand shim_get_ext_cmd the extcmdlist[] index picked, or -1 to cancel
+  finishExtendedCommand(index) {
+    const prompt = this.extendedCommand;
+    this.extendedCommand = null;
+    this.pendingPrompt = null;
+    if (index < 0) {
+      console.log("⌨️ Extended command cancelled");
+    } else {
+      const command = this.extendedCommands.find((c) => c.index === index);
+      console.log(`⌨️ Extended command #${command.name}`);
+    }
+    prompt.resolve(index);
+  }
+
+  // The items a client picked in its menu dialog, or null if it was cancelled.
+  // Each selection is {accelerator, count}; a missing count means all of it.
+  handleMenuSelection(selections) {
+    console.log("📋 Received menu selection:", selections);
+    if (this.recorder) {
+      this.recorder.record("in", {
+        type: "menu_selection",
+        selections: selections,
+      });
+    }
+    if (!this.activeMenu) {
+      console.log("⚠️ Menu selection with no menu open - ignoring");
+      return;
+    }
+    if (selections === null) {
+      this.finishMenu(null);
+      return;
+    }
+
+    const menu = this.activeMenu;
+    const picks = [];
+    const problem = (() => {
+      if (!Array.isArray(selections)) {
+        return "selections must be a list";
+      }
+      if (menu.how === PICK_ONE && selections.length > 1) {
+        return "only one item may be picked";
+      }
+      if (menu.how === PICK_NONE && selections.length > 0) {
+        return "nothing may be picked from this menu";
+      }
+      for (const selection of selections) {
+        const accelerator = selection && selection.accelerator;
+        const item = menu.items.find(
+          (menuItem) =>
+            !menuItem.isCategory && menuItem.accelerator === accelerator
         );
+        if (!item) {
+          return `no menu item '${accelerator}'`;
+        }
+        if (picks.some((pick) => pick.accelerator === accelerator)) {
+          return `'${accelerator}' picked twice`;
+        }
+        const count = selection.count == null ? -1 : selection.count;
+        if (count !== -1 && (!Number.isInteger(count) || count < 1)) {
+          return `bad count for '${accelerator}'`;
+        }
+        picks.push({ accelerator, count });
       }
-      // DON'T resolve the input promise for individual item selections in multi-pickup
-      console.log("📋 Multi-pickup item selection - not resolving promise yet");
+      return null;
+    })();
+
+    if (problem) {
+      console.log(`⚠️ Ignoring invalid menu selection: ${problem}`);
       return;
-    } else if (
-      this.isInMultiPickup &&
-      (input === "Enter" || input === "\r" || input === "\n")
-    ) {
-      // Confirm multi-pickup
-      const selectedItems = Array.from(this.menuSelections.values()).map(
-        (item) => `${item.menuChar}:${item.text}`
-      );
-      console.log(`📋 Confirming multi-pickup with selections:`, selectedItems);
-
-      // Resolve the menu selection promise if waiting
-      if (this.waitingForMenuSelection && this.menuSelectionResolver) {
-        console.log("🎮 Resolving menu selection with selection count");
-        this.waitingForMenuSelection = false;
-        const resolver = this.menuSelectionResolver;
-        this.menuSelectionResolver = null;
-        const selectionCount = this.menuSelections.size;
-        this.isInMultiPickup = false; // Clear it here when we resolve
-        resolver(selectionCount);
-        return;
-      }
+    }
+    this.finishMenu(picks);
+  }
 
-      // If no menu selection is waiting, mark that we're ready to confirm
-      // Also resolve the input promise that's waiting in shim_end_menu
-      console.log("📋 Multi-pickup ready to confirm - resolving input promise");
-      this.multiPickupReadyToConfirm = true;
+  // Hand the picks (or a cancel, for null) back to shim_select_menu
+  finishMenu(picks) {
+    const menu = this.activeMenu;
+    this.activeMenu = null;
+    this.pendingPrompt = null;
+
+    if (picks === null) {
+      console.log("📋 Menu cancelled");
+      this.nethackModule.setValue(menu.menuListPtr, 0, "*");
+      // Dismissing a read-only menu is all it asks for
+      menu.resolve(menu.how === PICK_NONE ? 0 : -1);
+      return;
+    }
 
-      // Resolve the general input promise if waiting (from shim_end_menu)
-      if (this.waitingForInput && this.inputResolver) {
-        console.log(
-          "🎮 Resolving waiting input promise for multi-pickup confirmation"
-        );
-        this.waitingForInput = false;
-        const resolver = this.inputResolver;
-        this.inputResolver = null;
-        resolver(this.processKey("Enter"));
-        return;
-      }
+    const chosen = picks.map((pick) => ({
+      item: menu.items.find((menuItem) => menuItem.accelerator === pick.accelerator),
+      count: pick.count,
+    }));
+    console.log(
+      `📋 Returning ${chosen.length} selected item(s):`,
+      chosen.map(({ item, count }) => `${item.accelerator}:${item.text} x${count}`)
+    );
+    menu.resolve(this.writeMenuSelections(menu.menuListPtr, chosen));
+  }
+
+  // Fill *menuListPtr with a malloc'd menu_item array, which NetHack frees
+  writeMenuSelections(menuListPtr, chosen) {
+    const Module = this.nethackModule;
+    if (chosen.length === 0) {
+      Module.setValue(menuListPtr, 0, "*");
+      return 0;
+    }
+
+    const listPtr = Module._malloc(chosen.length * MENU_ITEM_SIZE);
+    chosen.forEach(({ item, count }, index) => {
+      const itemPtr = listPtr + index * MENU_ITEM_SIZE;
+      Module.setValue(itemPtr, item.identifier, "i32"); // item
+      Module.setValue(itemPtr + 4, count, "i32"); // count
+      Module.setValue(itemPtr + 8, 0, "i32"); // itemflags
+    });
+    Module.setValue(menuListPtr, listPtr, "*");
+    return chosen.length;
+  }
+
+  // Handle the name typed into the client's name dialog
+  handlePlayerName(name) {
+    if (!this.nameResolver) {
+      console.log("⚠️ Ignoring player name - NetHack is not asking for one");
       return;
-    } else if (this.isInMultiPickup && input === "Escape") {
-      // Cancel multi-pickup
-      console.log(`📋 Cancelling multi-pickup`);
-      this.menuSelections.clear();
-      this.multiPickupReadyToConfirm = false;
-
-      // Resolve the menu selection promise with 0 (no selection)
-      if (this.waitingForMenuSelection && this.menuSelectionResolver) {
-        console.log("🎮 Resolving menu selection cancellation with 0");
-        this.waitingForMenuSelection = false;
-        const resolver = this.menuSelectionResolver;
-        this.menuSelectionResolver = null;
-        this.isInMultiPickup = false; // Clear it here when we resolve
-        resolver(0);
-        return;
-      }
-      // If no menu selection is waiting, just clear and store the input
-      this.isInMultiPickup = false;
-      console.log(
-        "📋 No menu selection waiting - storing Escape for later use"
-      );
+    }
+
+    const error = validatePlayerName(name);
+    if (error) {
+      console.log(`⚠️ Rejected player name "${name}": ${error}`);
+      this.sendNameRequest(error);
       return;
     }
 
-    // If we're waiting for general input, resolve the promise immediately
-    if (this.waitingForInput && this.inputResolver) {
-      console.log("🎮 Resolving waiting input promise with:", input);
-      this.waitingForInput = false;
-      const resolver = this.inputResolver;
-      this.inputResolver = null;
-      resolver(this.processKey(input));
+    // shim_askname returns nothing; NetHack reads the name straight out of plname
+    const playerName = name.trim();
+    console.log(`👤 Player name set to "${playerName}"`);
+    this.playerName = playerName;
+    this.nethackGlobal.globals.g.plname = playerName;
+    const resolver = this.nameResolver;
+    this.nameResolver = null;
+    this.pendingPrompt = null;
+    resolver(0);
+  }
+
+  sendNameRequest(error = null) {
+    this.pendingPrompt = {
+      type: "name_request",
+      text: "What is your name, adventurer?",
+      maxLength: PLAYER_NAME_MAX_LENGTH,
+      error: error,
+    };
+    this.sendToClient(this.pendingPrompt);
+  }
+
+  // Handle the role/race/gender/align picked in the client's character dialog
+  handleCharacterChoice(choice) {
+    if (!this.characterResolver) {
+      console.log("⚠️ Ignoring character - NetHack is not asking for one");
       return;
     }
 
-    // If we're waiting for position input, resolve that promise
-    if (this.waitingForPosition && this.positionResolver) {
-      console.log("🎮 Resolving waiting position promise with:", input);
-      this.waitingForPosition = false;
-      const resolver = this.positionResolver;
-      this.positionResolver = null;
-      resolver(this.processKey(input));
+    const character = resolveCharacter(this.characterData, choice);
+    if (!character) {
+      console.log("⚠️ Invalid character choice:", choice);
+      this.sendCharacterSelection("That combination is not allowed in NetHack");
       return;
     }
 
-    // Otherwise, just store for later use (for synchronous phases like character creation)
-    console.log("🎮 Storing input for later use:", input);
+    // role_init() takes the character from flags.initrole and the fields after it
+    const [role, race, gender, align] = character;
+    const { roles, races, genders, aligns } = this.characterData;
+    console.log(
+      `👤 Creating ${aligns[align].name} ${genders[gender].name} ${races[race].name} ${roles[role].name}`
+    );
+    this.nethackModule.HEAP32.set(character, FLAGS_INITROLE_ADDR >> 2);
+    const resolver = this.characterResolver;
+    this.characterResolver = null;
+    this.characterData = null;
+    this.pendingPrompt = null;
+    resolver(0);
+  }
+
+  // Only the player picks the character, so spectators and the recording skip it
+  sendCharacterSelection(error = null) {
+    this.pendingPrompt = {
+      type: "character_selection",
+      ...describeCharacterChoices(this.characterData),
+      error: error,
+    };
+    this.sendReply(this.pendingPrompt);
   }
 
   // Handle request for tile update from client
@@ -176,36 +1732,29 @@ class NetHackSession {
     if (tileData) {
       console.log(`📤 Resending tile data for (${x}, ${y}):`, tileData);
 
-      if (this.ws && this.ws.readyState === 1) {
-        this.ws.send(
-          JSON.stringify({
-            type: "map_glyph",
-            x: tileData.x,
-            y: tileData.y,
-            glyph: tileData.glyph,
-            char: tileData.char,
-            color: tileData.color,
-            window: 2, // WIN_MAP
-            isRefresh: true, // Mark this as a refresh to distinguish from new data
-          })
-        );
-      }
+      this.sendReply({
+        type: "map_glyph",
+        x: tileData.x,
+        y: tileData.y,
+        glyph: tileData.glyph,
+        char: tileData.char,
+        color: tileData.color,
+        category: tileData.category,
+        window: 2, // WIN_MAP
+        isRefresh: true, // Mark this as a refresh to distinguish from new data
+      });
     } else {
       console.log(
         `⚠️ No tile data found for (${x}, ${y}) - tile may not be explored yet`
       );
 
       // Optionally, we could send a "blank" tile or request NetHack to redraw the area
-      if (this.ws && this.ws.readyState === 1) {
-        this.ws.send(
-          JSON.stringify({
-            type: "tile_not_found",
-            x: x,
-            y: y,
-            message: "Tile data not available - may not be explored yet",
-          })
-        );
-      }
+      this.sendReply({
+        type: "tile_not_found",
+        x: x,
+        y: y,
+        message: "Tile data not available - may not be explored yet",
+      });
     }
   }
 
@@ -225,21 +1774,18 @@ class NetHackSession {
         const tileData = this.gameMap.get(key);
 
         if (tileData) {
-          if (this.ws && this.ws.readyState === 1) {
-            this.ws.send(
-              JSON.stringify({
-                type: "map_glyph",
-                x: tileData.x,
-                y: tileData.y,
-                glyph: tileData.glyph,
-                char: tileData.char,
-                color: tileData.color,
-                window: 2, // WIN_MAP
-                isRefresh: true,
-                isAreaRefresh: true,
-              })
-            );
-          }
+          this.sendReply({
+            type: "map_glyph",
+            x: tileData.x,
+            y: tileData.y,
+            glyph: tileData.glyph,
+            char: tileData.char,
+            color: tileData.color,
+            category: tileData.category,
+            window: 2, // WIN_MAP
+            isRefresh: true,
+            isAreaRefresh: true,
+          });
           tilesRefreshed++;
         }
       }
@@ -250,26 +1796,23 @@ class NetHackSession {
     );
 
     // Send completion message
-    if (this.ws && this.ws.readyState === 1) {
-      this.ws.send(
-        JSON.stringify({
-          type: "area_refresh_complete",
-          centerX: centerX,
-          centerY: centerY,
-          radius: radius,
-          tilesRefreshed: tilesRefreshed,
-        })
-      );
-    }
+    this.sendReply({
+      type: "area_refresh_complete",
+      centerX: centerX,
+      centerY: centerY,
+      radius: radius,
+      tilesRefreshed: tilesRefreshed,
+    });
   }
 
   // Helper method for key processing
   processKey(key) {
-    // With number_pad:1 option, translate arrow keys to numpad equivalents
-    if (key === "ArrowLeft") return "4".charCodeAt(0);
-    if (key === "ArrowRight") return "6".charCodeAt(0);
-    if (key === "ArrowUp") return "8".charCodeAt(0);
-    if (key === "ArrowDown") return "2".charCodeAt(0);
+    // Translate arrow keys to the movement keys of the game's number_pad setting
+    const numberPad = !this.options || this.options.number_pad;
+    if (key === "ArrowLeft") return (numberPad ? "4" : "h").charCodeAt(0);
+    if (key === "ArrowRight") return (numberPad ? "6" : "l").charCodeAt(0);
+    if (key === "ArrowUp") return (numberPad ? "8" : "k").charCodeAt(0);
+    if (key === "ArrowDown") return (numberPad ? "2" : "j").charCodeAt(0);
     if (key === "Escape") return 27;
     if (key.length > 0) return key.charCodeAt(0);
     return 0; // Default for empty/unknown input
@@ -277,42 +1820,74 @@ class NetHackSession {
 
   async initializeNetHack() {
     try {
-      console.log("Starting NetHack session...");
-      const factory = require("./public/nethack.js");
-      const wasmPath = path.join(__dirname, "public", "nethack.wasm");
-      console.log("Loading WASM from:", wasmPath);
-      const wasmBinary = fs.readFileSync(wasmPath);
-      console.log("WASM binary loaded, size:", wasmBinary.length);
-
-      globalThis.nethackCallback = (name, ...args) => {
+      console.log(`Starting NetHack session ${this.id}...`);
+      const { context, factory, wasmBinary } = createNetHackContext((error) =>
+        this.handleNetHackCrash(error)
+      );
+      this.context = context;
+
+      context.nethackCallback = (name, ...args) => {
         return this.handleUICallback(name, args);
       };
 
-      if (!globalThis.nethackGlobal) {
-        console.log("🌐 Setting up globalThis.nethackGlobal...");
-        globalThis.nethackGlobal = {
-          constants: {
-            WIN_TYPE: {
-              1: "WIN_MESSAGE",
-              2: "WIN_MAP",
-              3: "WIN_STATUS",
-              4: "WIN_INVEN",
-            },
-            STATUS_FIELD: {},
-            MENU_SELECT: { PICK_NONE: 0, PICK_ONE: 1, PICK_ANY: 2 },
-          },
-          helpers: {
-            getPointerValue: (name, ptr, type) => {
-              if (type === "s" && this.nethackModule) {
-                return this.nethackModule.UTF8ToString(ptr);
-              }
-              return ptr;
-            },
+      console.log("🌐 Setting up nethackGlobal for session", this.id);
+      this.nethackGlobal = {
+        constants: {
+          WIN_TYPE: {
+            1: "WIN_MESSAGE",
+            2: "WIN_MAP",
+            3: "WIN_STATUS",
+            4: "WIN_INVEN",
           },
-          globals: { WIN_MAP: 2, WIN_INVEN: 4, WIN_STATUS: 3, WIN_MESSAGE: 1 },
-        };
-        console.log("✅ globalThis.nethackGlobal set up");
-      }
+          STATUS_FIELD: {},
+          MENU_SELECT: { PICK_NONE: 0, PICK_ONE: 1, PICK_ANY: 2 },
+        },
+        helpers: {},
+        globals: { WIN_MAP: 2, WIN_INVEN: 4, WIN_STATUS: 3, WIN_MESSAGE: 1 },
+      };
+
+      // shim_get_ext_cmd takes no arguments, but its format string gives it
+      // one of type "v", which the glue's getPointerValue throws on. Answer
+      // that one here and leave every other read to whatever the glue installs.
+      let glueGetPointerValue = (name, ptr, type) => {
+        if (type === "s" && this.nethackModule) {
+          return this.nethackModule.UTF8ToString(ptr);
+        }
+        return ptr;
+      };
+      Object.defineProperty(this.nethackGlobal.helpers, "getPointerValue", {
+        enumerable: true,
+        get: () => (name, ptr, type) => {
+          if (type === "v") {
+            return undefined;
+          }
+          return glueGetPointerValue(name, ptr, type);
+        },
+        set: (getPointerValue) => {
+          glueGetPointerValue = getPointerValue;
+        },
+      });
+
+      // The shim copies a string result over its return slot, which only has
+      // room for a pointer, so getmsghistory's messages are put in wasm memory
+      // and the slot pointed at them instead. The glue installs its own
+      // setPointerValue once NetHack starts, so wrap whatever it installs.
+      let glueSetPointerValue = null;
+      Object.defineProperty(this.nethackGlobal.helpers, "setPointerValue", {
+        enumerable: true,
+        get: () => (name, ptr, type, value) => {
+          if (name === "shim_getmsghistory") {
+            this.writeMessageHistoryResult(ptr, value);
+            return;
+          }
+          glueSetPointerValue(name, ptr, type, value);
+        },
+        set: (setPointerValue) => {
+          glueSetPointerValue = setPointerValue;
+        },
+      });
+      context.nethackGlobal = this.nethackGlobal;
+      console.log("✅ nethackGlobal set up");
 
       const Module = {
         wasmBinary: wasmBinary,
@@ -324,19 +1899,55 @@ class NetHackSession {
             scriptDirectory
           );
           if (path.endsWith(".wasm")) {
-            return wasmPath;
+            return NETHACK_WASM_PATH;
           }
           return path;
         },
+        // Called when the game exits; the thrown ExitStatus unwinds the game
+        quit: (status, toThrow) => {
+          this.handleNetHackExit(status);
+          throw toThrow;
+        },
         preRun: [
           () => {
-            console.log("PreRun: Setting up NETHACKOPTIONS");
-            Module.ENV.NETHACKOPTIONS = "pickup_types:$,number_pad:1";
+            Module.ENV.NETHACKOPTIONS = buildNetHackOptions(this.options);
+            console.log(
+              "PreRun: NETHACKOPTIONS =",
+              Module.ENV.NETHACKOPTIONS
+            );
+
+            // NetHack only asks for a name when it cannot take one from the
+            // environment, and Emscripten fills USER/LOGNAME with "web_user"
+            Module.ENV.USER = "";
+            Module.ENV.LOGNAME = "";
+
+            // NetHack cannot save without its save directory
+            Module.FS_createPath("/", "save", true, true);
+
+            if (this.restoreSave) {
+              // NetHack picks the save up by itself when the name matches
+              console.log(`PreRun: Restoring save ${this.restoreSave.file}`);
+              Module.FS_createDataFile(
+                "/save",
+                this.restoreSave.file,
+                stampSaveVersion(this.restoreSave.data),
+                true,
+                true
+              );
+              Module.ENV.NETHACKOPTIONS += `,name:${this.restoreSave.name}`;
+            }
           },
         ],
         onRuntimeInitialized: async () => {
           console.log("NetHack WASM runtime initialized!");
           this.nethackModule = Module;
+          try {
+            setNetHackVersion(Module);
+          } catch (error) {
+            // Still hand over the callback below so the game parks at its
+            // first one instead of running on with no window port
+            this.handleNetHackCrash(error);
+          }
           try {
             console.log("Setting up graphics callback...");
             await Module.ccall(
@@ -356,9 +1967,8 @@ class NetHackSession {
 
               // Verify mapglyphHelper is available
               if (
-                globalThis.nethackGlobal &&
-                globalThis.nethackGlobal.helpers &&
-                globalThis.nethackGlobal.helpers.mapglyphHelper
+                this.nethackGlobal.helpers &&
+                this.nethackGlobal.helpers.mapglyphHelper
               ) {
                 console.log("✅ mapglyphHelper is available");
               } else {
@@ -371,7 +1981,7 @@ class NetHackSession {
             // Don't call main() automatically - wait for it to be called naturally
             console.log("Waiting for NetHack to start naturally...");
           } catch (error) {
-            console.error("Error setting up NetHack:", error);
+            this.handleNetHackCrash(error);
           }
         },
       };
@@ -383,12 +1993,293 @@ class NetHackSession {
         typeof this.nethackInstance
       );
     } catch (error) {
-      console.error("Error initializing NetHack:", error);
+      // The factory's promise rejects if the WASM fails to load or aborts
+      this.handleNetHackCrash(error);
+    }
+  }
+
+  // The game threw something other than its exit; its WASM state can't be
+  // trusted after that, so end this session and leave the others running
+  handleNetHackCrash(error) {
+    console.error(`💥 NetHack session ${this.id} crashed:`, error);
+    if (!this.isClosed) {
+      this.kill("NetHack crashed");
+    }
+  }
+
+  // NetHack has called exit(), either after saving or because the game is over
+  handleNetHackExit(status) {
+    console.log(`NetHack session ${this.id} exited with status`, status);
+
+    const saveInfo = this.storeSaveFiles();
+    if (saveInfo) {
+      this.sendToClient({
+        type: "game_saved",
+        save: saveInfo,
+      });
+    } else {
+      // Only a game that ended has written to the xlogfile
+      const xlogEntries = this.readXlogEntries();
+      if (xlogEntries.length > 0) {
+        try {
+          mergeLeaderboardEntries(xlogEntries.map(toLeaderboardEntry));
+        } catch (error) {
+          console.log(`⚠️ Could not update leaderboard for session ${this.id}:`, error);
+        }
+      }
+      const gameOver = this.readGameOver(xlogEntries);
+      if (gameOver) {
+        console.log(
+          `🪦 Game over for ${gameOver.name}: ${gameOver.cause}, ${gameOver.score} points`
+        );
+        this.sendToClient({ type: "game_over", ...gameOver });
+      }
+    }
+
+    const ws = this.ws;
+    this.close();
+    if (ws && ws.readyState === 1) {
+      ws.close(1000, "Game ended");
+    }
+  }
+
+  // The parsed lines of this game's xlogfile, one per game that has ended
+  readXlogEntries() {
+    const FS = this.nethackModule && this.nethackModule.FS;
+    if (!FS) {
+      return [];
+    }
+    try {
+      return FS.readFile("/xlogfile", { encoding: "utf8" })
+        .split("\n")
+        .filter((line) => line.trim() !== "")
+        .map(parseXlogLine);
+    } catch (error) {
+      console.log(`⚠️ Could not read xlogfile for session ${this.id}:`, error);
+      return [];
+    }
+  }
+
+  // A game that ended rather than being saved left its entry as the last
+  // line of the xlogfile
+  readGameOver(xlogEntries) {
+    const entry = xlogEntries[xlogEntries.length - 1];
+    if (!entry) {
+      return null;
+    }
+
+    const gameOver = {
+      name: entry.name || this.playerName,
+      role: entry.role || null,
+      race: entry.race || null,
+      gender: entry.gender || null,
+      align: entry.align || null,
+      cause: entry.death || "died",
+      score: parseInt(entry.points, 10) || 0,
+      turns: parseInt(entry.turns, 10) || 0,
+      dlevel: parseInt(entry.deathlev, 10) || 0,
+      maxDlevel: parseInt(entry.maxlvl, 10) || 0,
+      endDate: entry.deathdate || null,
+    };
+    gameOver.dump = this.buildGameDump(gameOver);
+    return gameOver;
+  }
+
+  // This build of NetHack writes no dumplog, so put one together from what
+  // the session saw: how it ended, the last messages, the map, the inventory
+  // and whatever the game showed while disclosing the end
+  buildGameDump(gameOver) {
+    const sections = [
+      [
+        `${gameOver.name} (${gameOver.role} ${gameOver.race} ${gameOver.gender} ${gameOver.align})`,
+        `${gameOver.cause} on dungeon level ${gameOver.dlevel} after ${gameOver.turns} turns, ${gameOver.score} points`,
+      ],
+      [
+        "Latest messages:",
+        ...this.getMessageHistory()
+          .slice(-20)
+          .map((message) => `  ${message.text}`),
+      ],
+      ["Final map:", ...this.getAsciiMap()],
+    ];
+    if (this.currentInventory.length > 0) {
+      sections.push([
+        "Inventory:",
+        ...this.currentInventory.map((item) =>
+          item.isCategory ? ` ${item.text}` : `  ${item.accelerator} - ${item.text}`
+        ),
+      ]);
+    }
+    if (this.endOfGameLines && this.endOfGameLines.length > 0) {
+      sections.push(this.endOfGameLines);
+    }
+    return sections.map((lines) => lines.join("\n").trimEnd()).join("\n\n") + "\n";
+  }
+
+  // The map as the player last saw it, one string per row
+  getAsciiMap() {
+    const rows = [];
+    for (let y = 0; y < MAP_ROWS; y++) {
+      let row = "";
+      for (let x = 0; x < MAP_COLUMNS; x++) {
+        const tile = this.gameMap.get(`${x},${y}`);
+        row += tile && tile.char ? tile.char : " ";
+      }
+      rows.push(row.trimEnd());
+    }
+    // Drop the blank rows above and below the explored part
+    while (rows.length > 0 && rows[0] === "") {
+      rows.shift();
+    }
+    while (rows.length > 0 && rows[rows.length - 1] === "") {
+      rows.pop();
+    }
+    return rows;
+  }
+
+  // Copy whatever NetHack left in /save out to the player's save directory
+  storeSaveFiles() {
+    const FS = this.nethackModule && this.nethackModule.FS;
+    if (!FS) {
+      return null;
+    }
+
+    let saveInfo = null;
+    try {
+      FS.readdir("/save")
+        .filter((file) => file !== "." && file !== "..")
+        .forEach((file) => {
+          saveInfo = writePlayerSave(
+            this.playerId,
+            file,
+            Buffer.from(FS.readFile(`/save/${file}`))
+          );
+        });
+    } catch (error) {
+      console.log(`⚠️ Could not store save files for session ${this.id}:`, error);
+    }
+    return saveInfo;
+  }
+
+  // Keep a message for the client's full state and NetHack's ^P history,
+  // along with the turn it was shown on
+  recordGameMessage(text, window, attr) {
+    if (this.windowTypes.get(window) === NHW_MESSAGE) {
+      this.hasUnreadMessages = true;
+    }
+    const timeStatus = this.statusFields.get(BL_TIME);
+    this.gameMessages.push({
+      text: text,
+      window: window,
+      timestamp: Date.now(),
+      attr: attr,
+      turn: timeStatus ? parseInt(timeStatus.value, 10) || 0 : 0,
+    });
+  }
+
+  // The messages shown in the message window, oldest first
+  getMessageHistory() {
+    return this.gameMessages.filter((message) => message.window === 1);
+  }
+
+  // Point NetHack's return slot at a copy of message, or at null to end the
+  // history. The previous copy is freed, as NetHack is done with it by then.
+  writeMessageHistoryResult(retPtr, message) {
+    const Module = this.nethackModule;
+    if (this.messageHistoryPtr) {
+      Module._free(this.messageHistoryPtr);
+      this.messageHistoryPtr = 0;
+    }
+    if (typeof message === "string") {
+      const bytes = Buffer.from(message, "utf8");
+      this.messageHistoryPtr = Module._malloc(bytes.length + 1);
+      bytes.forEach((byte, index) =>
+        Module.setValue(this.messageHistoryPtr + index, byte, "i8")
+      );
+      Module.setValue(this.messageHistoryPtr + bytes.length, 0, "i8");
+    }
+    Module.setValue(retPtr, this.messageHistoryPtr, "*");
+  }
+
+  // Read one of NetHack's data files (help, hh, license, ...). Most live in
+  // the dlb archive /nhdat, whose text header lists "n<name> <offset>" for
+  // each member after a line of counts; a member runs up to the next offset.
+  readDataFile(name) {
+    const FS = this.nethackModule && this.nethackModule.FS;
+    if (!FS || typeof name !== "string") {
+      return null;
+    }
+
+    try {
+      return FS.readFile(`/${name}`, { encoding: "utf8" });
+    } catch (error) {
+      // Not a plain file, look in the archive
+    }
+
+    try {
+      const archive = Buffer.from(FS.readFile("/nhdat"));
+      const headerLines = archive
+        .subarray(0, Math.min(archive.length, 4096))
+        .toString("latin1")
+        .split("\n");
+      const [, fileCount, , , totalSize] = headerLines[0]
+        .trim()
+        .split(/\s+/)
+        .map(Number);
+      const entries = headerLines.slice(1, fileCount + 1).map((line) => {
+        const match = line.match(/^n(\S+)\s+(\d+)/);
+        return match ? { name: match[1], offset: Number(match[2]) } : null;
+      });
+      const index = entries.findIndex((entry) => entry && entry.name === name);
+      if (index < 0) {
+        return null;
+      }
+      const next = entries[index + 1];
+      const end = next ? next.offset : totalSize;
+      return archive.subarray(entries[index].offset, end).toString("latin1");
+    } catch (error) {
+      console.log(`⚠️ Could not read data file ${name}:`, error);
+      return null;
+    }
+  }
+
+  // NetHack deletes its copy of a save as it restores it, whether or not the
+  // restore worked, so only drop ours once the game greets a returning player.
+  // Whatever it prints before then says why a restore failed.
+  checkRestoreGreeting(text) {
+    if (!this.restoreSave || !text) {
+      return;
     }
+    if (text.includes("welcome back to NetHack")) {
+      deletePlayerSave(this.playerId, this.restoreSave.file);
+      this.restoreSave = null;
+      this.restoreMessages = [];
+    } else if (text.trim()) {
+      this.restoreMessages.push(text.trim());
+    }
+  }
+
+  // Tell the player their save could not be restored and end this game
+  // rather than let NetHack go on to roll a random character. The stored
+  // save is kept so it can be tried again.
+  failRestore() {
+    const error =
+      this.restoreMessages.join(" ") || "NetHack could not restore the save";
+    console.log(`⚠️ Restoring ${this.restoreSave.file} failed: ${error}`);
+    this.sendToClient({
+      type: "restore_failed",
+      save: this.restoreSave.file,
+      error: error,
+    });
+    this.kill("Restore failed");
   }
 
   handleUICallback(name, args) {
-    console.log(`🎮 UI Callback: ${name}`, args);
+    if (this.isClosed) {
+      return new Promise(() => {});
+    }
+
+    console.log(`🎮 UI Callback [session ${this.id}]: ${name}`, args);
 
     const processKey = (key) => {
       return this.processKey(key);
@@ -396,6 +2287,11 @@ class NetHackSession {
 
     switch (name) {
       case "shim_get_nh_event":
+        // Keys are already waiting; the next key read takes them in order
+        if (this.queuedInputs.length > 0) {
+          return 0;
+        }
+
         // Check if we have recent input available (within input window)
         const timeSinceInput = Date.now() - this.lastInputTime;
         if (this.latestInput && timeSinceInput < this.inputCooldown) {
@@ -424,23 +2320,29 @@ class NetHackSession {
         // Store the question text for potential menu expansion
         this.lastQuestionText = question;
 
+        // The first of the questions asked once the game has ended
+        if (question && question.startsWith("Do you want your possessions identified?")) {
+          this.endOfGameLines = [];
+        }
+
         // Check if this is a direction question that needs special handling
         if (question && question.toLowerCase().includes("direction")) {
+          const queuedDirection = this.takeQueuedInput();
+          if (queuedDirection !== null) {
+            return queuedDirection;
+          }
           console.log(
             "🧭 Direction question detected - waiting for user input"
           );
 
           // Send direction question to web client
-          if (this.ws && this.ws.readyState === 1) {
-            this.ws.send(
-              JSON.stringify({
-                type: "direction_question",
-                text: question,
-                choices: choices,
-                default: defaultChoice,
-              })
-            );
-          }
+          this.pendingPrompt = {
+            type: "direction_question",
+            text: question,
+            choices: choices,
+            default: defaultChoice,
+          };
+          this.sendToClient(this.pendingPrompt);
 
           // Wait for actual user input for direction questions
           console.log("🧭 Waiting for direction input (async)...");
@@ -452,18 +2354,15 @@ class NetHackSession {
         }
 
         // Send question to web client (don't include menu items for simple Y/N questions)
-        if (this.ws && this.ws.readyState === 1) {
-          this.ws.send(
-            JSON.stringify({
-              type: "question",
-              text: question,
-              choices: choices,
-              default: defaultChoice,
-              // Only include menuItems if this is actually a menu question, not a simple Y/N
-              menuItems: [],
-            })
-          );
-        }
+        this.pendingPrompt = {
+          type: "question",
+          text: question,
+          choices: choices,
+          default: defaultChoice,
+          // Only include menuItems if this is actually a menu question, not a simple Y/N
+          menuItems: [],
+        };
+        this.sendToClient(this.pendingPrompt);
 
         // Wait for actual user input instead of returning default choice automatically
         console.log("🤔 Y/N Question - waiting for user input (async)...");
@@ -477,6 +2376,11 @@ class NetHackSession {
         const [xPtr, yPtr, modPtr] = args;
         console.log("🎮 NetHack requesting position key");
 
+        const queuedKey = this.takeQueuedInput();
+        if (queuedKey !== null) {
+          return queuedKey;
+        }
+
         // Check if we have recent input available (within input window)
         const timeSincePositionInput = Date.now() - this.lastInputTime;
         if (this.latestInput && timeSincePositionInput < this.inputCooldown) {
@@ -498,22 +2402,17 @@ class NetHackSession {
 
       case "shim_init_nhwindows":
         console.log("Initializing NetHack windows");
-        if (this.ws && this.ws.readyState === 1) {
-          this.ws.send(
-            JSON.stringify({
-              type: "name_request",
-              text: "What is your name, adventurer?",
-              maxLength: 30,
-            })
-          );
-        }
         return 1;
       case "shim_create_nhwindow":
         const [windowType] = args;
-        console.log(
-          `Creating window [ ${windowType} ] returning ${windowType}`
-        );
-        return windowType;
+        let windowId = windowType;
+        if (windowType === NHW_TEXT || this.createdWindowTypes.has(windowType)) {
+          windowId = this.nextWindowId++;
+        }
+        this.createdWindowTypes.add(windowType);
+        this.windowTypes.set(windowId, windowType);
+        console.log(`Creating window [ ${windowType} ] returning ${windowId}`);
+        return windowId;
       case "shim_status_init":
         console.log("Initializing status display");
         return 0;
@@ -523,18 +2422,8 @@ class NetHackSession {
         this.currentMenuItems = []; // Clear previous menu items
         this.currentWindow = menuWinId;
         this.lastQuestionText = null; // Clear any previous question text when starting new menu
-
-        // Reset selection tracking for new menus
-        this.menuSelections.clear();
-        this.isInMultiPickup = false;
-        this.multiPickupReadyToConfirm = false;
-
-        // Also clear any waiting menu selection resolvers
-        if (this.waitingForMenuSelection && this.menuSelectionResolver) {
-          console.log("📋 Clearing previous menu selection resolver");
-          this.waitingForMenuSelection = false;
-          this.menuSelectionResolver = null;
-        }
+        this.currentMenuPrompt = null;
+        this.currentMenuIsInventory = false;
 
         // Log window type for debugging
         const windowTypes = {
@@ -554,232 +2443,142 @@ class NetHackSession {
         console.log("NetHack ending menu:", args);
 
         // Check if this is just an inventory update vs an actual question
-        const isInventoryWindow = endMenuWinid === 4; // WIN_INVEN = 4
-        const hasMenuQuestion = menuQuestion && menuQuestion.trim();
-
-        // Log the menu details for debugging
-        console.log(
-          `📋 Menu ending - Window: ${endMenuWinid}, Question: "${menuQuestion}", Items: ${this.currentMenuItems.length}`
-        );
-
-        // If this is an inventory window without a question, it's just an inventory update
-        if (isInventoryWindow && !hasMenuQuestion) {
-          console.log(
-            `📦 Inventory update detected (${this.currentMenuItems.length} total items) - not showing dialog`
-          );
-
-          // Count actual items vs category headers for better logging
-          const actualItems = this.currentMenuItems.filter(
-            (item) => !item.isCategory
-          );
-          const categoryHeaders = this.currentMenuItems.filter(
-            (item) => item.isCategory
-          );
-          console.log(
-            `📦 -> ${actualItems.length} actual items, ${categoryHeaders.length} category headers`
-          );
-
-          // Send inventory update to client as informational only
-          if (this.ws && this.ws.readyState === 1) {
-            this.ws.send(
-              JSON.stringify({
-                type: "inventory_update",
-                items: this.currentMenuItems,
-                window: endMenuWinid,
-              })
-            );
-          }
-
-          return 0; // Don't wait for input - this is just informational
-        }
-
-        // Special handling for inventory window WITH questions (like drop, wear, etc.)
-        if (isInventoryWindow && hasMenuQuestion) {
-          console.log(
-            `📋 Inventory action question detected: "${menuQuestion}" with ${this.currentMenuItems.length} items`
-          );
-
-          // Check if this is a multi-pickup dialog
-          if (
-            menuQuestion &&
-            (menuQuestion.toLowerCase().includes("pick up what") ||
-              menuQuestion.toLowerCase().includes("pick up") ||
-              menuQuestion
-                .toLowerCase()
-                .includes("what do you want to pick up"))
-          ) {
-            console.log("📋 Multi-pickup dialog detected");
-            this.isInMultiPickup = true;
-          }
-
-          // Send the inventory question to web client
-          if (this.ws && this.ws.readyState === 1) {
-            this.ws.send(
-              JSON.stringify({
-                type: "question",
-                text: menuQuestion,
-                choices: "",
-                default: "",
-                menuItems: this.currentMenuItems,
-              })
-            );
-          }
-
-          // Wait for actual user input for inventory questions
-          console.log("📋 Waiting for inventory action selection (async)...");
-          return new Promise((resolve) => {
-            this.inputResolver = resolve;
-            this.waitingForInput = true;
-            // No timeout - wait for real user input via WebSocket
-          });
-        }
-
-        // If there's a menu question (like "Pick up what?"), send it to the client
-        if (hasMenuQuestion && this.currentMenuItems.length > 0) {
-          console.log(
-            `📋 Menu question detected: "${menuQuestion}" with ${this.currentMenuItems.length} items`
-          );
-
-          // Send menu question to web client
-          if (this.ws && this.ws.readyState === 1) {
-            this.ws.send(
-              JSON.stringify({
-                type: "question",
-                text: menuQuestion,
-                choices: "",
-                default: "",
-                menuItems: this.currentMenuItems,
-              })
-            );
-          }
+        const isInventoryWindow = endMenuWinid === 4; // WIN_INVEN = 4
+        const hasMenuQuestion = menuQuestion && menuQuestion.trim();
 
-          // Wait for actual user input for menu questions
-          console.log("📋 Waiting for menu selection (async)...");
-          return new Promise((resolve) => {
-            this.inputResolver = resolve;
-            this.waitingForInput = true;
-            // No timeout - wait for real user input via WebSocket
-          });
-        }
+        // Log the menu details for debugging
+        console.log(
+          `📋 Menu ending - Window: ${endMenuWinid}, Question: "${menuQuestion}", Items: ${this.currentMenuItems.length}`
+        );
 
-        // Check if we have menu items but no explicit question - could be a pickup or action menu
-        if (
-          this.currentMenuItems.length > 0 &&
-          !hasMenuQuestion &&
-          !isInventoryWindow
-        ) {
+        // If this is an inventory window without a question, it's just an inventory update
+        if (isInventoryWindow && !hasMenuQuestion) {
           console.log(
-            `📋 Menu expansion detected with ${this.currentMenuItems.length} items (window ${endMenuWinid})`
+            `📦 Inventory update detected (${this.currentMenuItems.length} total items) - not showing dialog`
           );
 
-          // Determine the appropriate question based on context and window type
-          let contextualQuestion = "Please select an option:";
-
-          // Count non-category items to get actual selectable items
-          const selectableItems = this.currentMenuItems.filter(
+          // Count actual items vs category headers for better logging
+          const actualItems = this.currentMenuItems.filter(
             (item) => !item.isCategory
           );
+          const categoryHeaders = this.currentMenuItems.filter(
+            (item) => item.isCategory
+          );
           console.log(
-            `📋 Found ${selectableItems.length} selectable items out of ${this.currentMenuItems.length} total`
+            `📦 -> ${actualItems.length} actual items, ${categoryHeaders.length} category headers`
           );
 
-          // Try to infer the action from the menu items and context
-          if (
-            selectableItems.some(
-              (item) =>
-                item.text &&
-                typeof item.text === "string" &&
-                (item.text.includes("gold pieces") ||
-                  item.text.includes("corpse") ||
-                  item.text.includes("here"))
-            )
-          ) {
-            contextualQuestion = "What would you like to pick up?";
-          } else if (
-            selectableItems.some(
-              (item) =>
-                item.text &&
-                typeof item.text === "string" &&
-                (item.text.includes("spell") || item.text.includes("magic"))
-            )
-          ) {
-            contextualQuestion = "Which spell would you like to cast?";
-          } else if (
-            selectableItems.some(
-              (item) =>
-                item.text &&
-                typeof item.text === "string" &&
-                (item.text.includes("wear") ||
-                  item.text.includes("wield") ||
-                  item.text.includes("armor"))
-            )
-          ) {
-            contextualQuestion = "What would you like to use?";
-          }
-
-          // Only show dialog if we have actual selectable items
-          if (selectableItems.length > 0) {
-            // Send expanded question to web client
-            if (this.ws && this.ws.readyState === 1) {
-              this.ws.send(
-                JSON.stringify({
-                  type: "question",
-                  text: contextualQuestion,
-                  choices: "",
-                  default: "",
-                  menuItems: this.currentMenuItems,
-                })
-              );
-            }
+          // Send inventory update to client as informational only
+          this.currentMenuIsInventory = true;
+          this.currentInventory = this.currentMenuItems;
+          this.sendToClient({
+            type: "inventory_update",
+            items: this.currentMenuItems,
+            window: endMenuWinid,
+          });
 
-            // Wait for actual user input for expanded questions
-            console.log("📋 Waiting for expanded menu selection (async)...");
-            return new Promise((resolve) => {
-              this.inputResolver = resolve;
-              this.waitingForInput = true;
-              // No timeout - wait for real user input via WebSocket
-            });
-          } else {
-            console.log(
-              "📋 Menu has no selectable items - treating as informational"
-            );
-          }
+          return 0; // Don't wait for input - this is just informational
         }
 
+        // Anything else is asked in shim_select_menu, which knows how many
+        // items may be picked
+        this.currentMenuPrompt = hasMenuQuestion ? menuQuestion : null;
         return 0;
       case "shim_display_nhwindow":
         const [winid, blocking] = args;
         console.log(`🖥️ DISPLAY WINDOW [Win ${winid}], blocking: ${blocking}`);
+
+        // Show the lines put into a text or menu window as one page-able
+        // window, and wait for the player to read and dismiss it
+        const windowLines = this.windowLines.get(winid);
+        if (windowLines && windowLines.length > 0) {
+          if (this.endOfGameLines) {
+            this.endOfGameLines.push(...windowLines.map((line) => line.text), "");
+          }
+          this.pendingPrompt = {
+            type: "text_window",
+            window: winid,
+            lines: windowLines,
+          };
+          this.sendToClient(this.pendingPrompt);
+          console.log("📜 Waiting for text window to be dismissed (async)...");
+          return new Promise((resolve) => {
+            this.textWindowResolver = resolve;
+          });
+        }
+
+        // A blocking display of the message or map window is a --More--:
+        // the messages already shown stay up until the player presses a key
+        const displayedType = this.windowTypes.get(winid);
+        if (
+          blocking &&
+          this.hasUnreadMessages &&
+          (displayedType === NHW_MESSAGE || displayedType === NHW_MAP)
+        ) {
+          this.pendingPrompt = { type: "more", window: winid };
+          this.sendToClient(this.pendingPrompt);
+          console.log("📜 Waiting for --More-- to be acknowledged (async)...");
+          return new Promise((resolve) => {
+            this.textWindowResolver = resolve;
+          });
+        }
         return 0;
+      case "shim_display_file":
+        const [dataFileName, complain] = args;
+        console.log(`📄 DISPLAY FILE: ${dataFileName}`);
+
+        const dataFile = this.readDataFile(dataFileName);
+        if (dataFile === null) {
+          if (complain) {
+            this.sendToClient({
+              type: "text",
+              text: `Cannot open "${dataFileName}" data file!`,
+              window: 1,
+            });
+          }
+          return 0;
+        }
+
+        // Shown and dismissed just like a text window
+        this.pendingPrompt = {
+          type: "text_window",
+          window: null,
+          lines: dataFile
+            .replace(/\n$/, "")
+            .split("\n")
+            .map((line) => ({ text: line.replace(/\r$/, ""), attr: 0 })),
+        };
+        this.sendToClient(this.pendingPrompt);
+        return new Promise((resolve) => {
+          this.textWindowResolver = resolve;
+        });
       case "shim_add_menu":
         const [
           menuWinid,
           menuGlyph,
+          identifier,
           accelerator,
           groupacc,
           menuAttr,
           menuStr,
-          preselected,
+          itemflags,
         ] = args;
+        const menuText = String(menuStr || "");
 
-        // Fix: menuStr is actually at index 6, not 5
-        const menuText = String(args[6] || "");
-
-        // Determine if this is a category header and the correct accelerator
-        const isCategory =
-          !accelerator || accelerator === 0 || accelerator === 32; // 32 is space character
+        // Entries with a zero identifier (headers, blank lines) can't be picked
+        const isCategory = !identifier;
         let menuChar = "";
         let glyphChar = "";
 
         // Convert glyph to visual character using mapglyphHelper
         if (
           menuGlyph &&
-          globalThis.nethackGlobal &&
-          globalThis.nethackGlobal.helpers &&
-          globalThis.nethackGlobal.helpers.mapglyphHelper
+          this.nethackGlobal &&
+          this.nethackGlobal.helpers &&
+          this.nethackGlobal.helpers.mapglyphHelper
         ) {
           try {
-            const glyphInfo = globalThis.nethackGlobal.helpers.mapglyphHelper(
+            const glyphInfo = this.nethackGlobal.helpers.mapglyphHelper(
               menuGlyph,
               0,
               0,
@@ -802,8 +2601,8 @@ class NetHackSession {
             // If accelerator is a valid ASCII character code, use it
             menuChar = String.fromCharCode(accelerator);
           } else {
-            // If accelerator is invalid (like the large numbers we're seeing),
-            // assign letters automatically based on the current menu items
+            // NetHack leaves some menus (like help) for the window port to
+            // letter, so assign letters based on the current menu items
             const existingItems = this.currentMenuItems.filter(
               (item) => !item.isCategory
             );
@@ -817,11 +2616,11 @@ class NetHackSession {
           }
 
           console.log(
-            `📋 MENU ITEM: "${menuText}" (key: ${menuChar}) glyph: ${menuGlyph} -> "${glyphChar}" - accelerator code: ${accelerator}`
+            `📋 MENU ITEM: "${menuText}" (key: ${menuChar}) glyph: ${menuGlyph} -> "${glyphChar}" - identifier: ${identifier}`
           );
         } else {
           console.log(
-            `📋 CATEGORY HEADER: "${menuText}" - accelerator code: ${accelerator}`
+            `📋 CATEGORY HEADER: "${menuText}"`
           );
         }
 
@@ -830,7 +2629,8 @@ class NetHackSession {
           this.currentMenuItems.push({
             text: menuText,
             accelerator: menuChar,
-            originalAccelerator: accelerator, // Store the original accelerator code
+            identifier: identifier, // Written back into menu_item when picked
+            selected: (itemflags & MENU_ITEMFLAGS_SELECTED) !== 0,
             window: menuWinid,
             glyph: menuGlyph,
             glyphChar: glyphChar, // Add the visual character representation
@@ -840,44 +2640,40 @@ class NetHackSession {
         }
 
         // Send menu item to web client
-        if (this.ws && this.ws.readyState === 1) {
-          this.ws.send(
-            JSON.stringify({
-              type: "menu_item",
-              text: menuText,
-              accelerator: menuChar,
-              window: menuWinid,
-              glyph: menuGlyph,
-              glyphChar: glyphChar, // Include glyph character in client message
-              isCategory: isCategory,
-              menuItems: this.currentMenuItems,
-            })
-          );
-        }
+        this.sendToClient({
+          type: "menu_item",
+          text: menuText,
+          accelerator: menuChar,
+          window: menuWinid,
+          glyph: menuGlyph,
+          glyphChar: glyphChar, // Include glyph character in client message
+          isCategory: isCategory,
+          menuItems: this.currentMenuItems,
+        });
 
         return 0;
       case "shim_putstr":
         const [win, textAttr, textStr] = args;
         console.log(`💬 TEXT [Win ${win}]: "${textStr}"`);
-        this.gameMessages.push({
+        this.checkRestoreGreeting(textStr);
+
+        // Text and menu windows are kept until shim_display_nhwindow shows them
+        const putWindowType = this.windowTypes.get(win);
+        if (putWindowType === NHW_TEXT || putWindowType === NHW_MENU) {
+          if (!this.windowLines.has(win)) {
+            this.windowLines.set(win, []);
+          }
+          this.windowLines.get(win).push({ text: textStr, attr: textAttr });
+          return 0;
+        }
+
+        this.recordGameMessage(textStr, win, textAttr);
+        this.sendToClient({
+          type: "text",
           text: textStr,
           window: win,
-          timestamp: Date.now(),
           attr: textAttr,
         });
-        if (this.gameMessages.length > 100) {
-          this.gameMessages.shift();
-        }
-        if (this.ws && this.ws.readyState === 1) {
-          this.ws.send(
-            JSON.stringify({
-              type: "text",
-              text: textStr,
-              window: win,
-              attr: textAttr,
-            })
-          );
-        }
         return 0;
       case "shim_print_glyph":
         const [printWin, x, y, printGlyph] = args;
@@ -889,12 +2685,12 @@ class NetHackSession {
           let glyphChar = null;
           let glyphColor = null;
           if (
-            globalThis.nethackGlobal &&
-            globalThis.nethackGlobal.helpers &&
-            globalThis.nethackGlobal.helpers.mapglyphHelper
+            this.nethackGlobal &&
+            this.nethackGlobal.helpers &&
+            this.nethackGlobal.helpers.mapglyphHelper
           ) {
             try {
-              const glyphInfo = globalThis.nethackGlobal.helpers.mapglyphHelper(
+              const glyphInfo = this.nethackGlobal.helpers.mapglyphHelper(
                 printGlyph,
                 x,
                 y,
@@ -926,27 +2722,31 @@ class NetHackSession {
             console.log(`⚠️ mapglyphHelper not available`);
           }
 
+          const glyphCategory = classifyGlyph(
+            printGlyph,
+            this.nethackGlobal && this.nethackGlobal.constants.GLYPH,
+            glyphChar
+          );
+
           this.gameMap.set(key, {
             x: x,
             y: y,
             glyph: printGlyph,
             char: glyphChar,
             color: glyphColor,
+            category: glyphCategory,
             timestamp: Date.now(),
           });
-          if (this.ws && this.ws.readyState === 1) {
-            this.ws.send(
-              JSON.stringify({
-                type: "map_glyph",
-                x: x,
-                y: y,
-                glyph: printGlyph,
-                char: glyphChar,
-                color: glyphColor,
-                window: printWin,
-              })
-            );
-          }
+          this.sendToClient({
+            type: "map_glyph",
+            x: x,
+            y: y,
+            glyph: printGlyph,
+            char: glyphChar,
+            color: glyphColor,
+            category: glyphCategory,
+            window: printWin,
+          });
           // Comment out automatic character selection prompts for now
           // if (!this.hasShownCharacterSelection) {
           //   this.hasShownCharacterSelection = true;
@@ -977,173 +2777,135 @@ class NetHackSession {
         }
         return 0;
       case "shim_player_selection":
+        // NetHack only picks a character for a new game, so a save still
+        // being restored here is one it gave up on
+        if (this.restoreSave) {
+          this.failRestore();
+          return new Promise(() => {});
+        }
         console.log("NetHack player selection started");
-        // Comment out character selection UI for automatic play
-        // if (this.ws && this.ws.readyState === 1) {
-        //   this.ws.send(
-        //     JSON.stringify({
-        //       type: "question",
-        //       text: "Choose your character class:",
-        //       choices: "",
-        //       default: "",
-        //       menuItems: [
-        //         { accelerator: "a", text: "Archeologist" },
-        //         { accelerator: "b", text: "Barbarian" },
-        //         { accelerator: "c", text: "Caveman" },
-        //         { accelerator: "h", text: "Healer" },
-        //         { accelerator: "k", text: "Knight" },
-        //         { accelerator: "m", text: "Monk" },
-        //         { accelerator: "p", text: "Priest" },
-        //         { accelerator: "r", text: "Rogue" },
-        //         { accelerator: "s", text: "Samurai" },
-        //         { accelerator: "t", text: "Tourist" },
-        //         { accelerator: "v", text: "Valkyrie" },
-        //         { accelerator: "w", text: "Wizard" },
-        //       ],
-        //     })
-        //   );
-        // }
-        return 0;
+        try {
+          this.characterData = readCharacterData(this.nethackModule);
+        } catch (error) {
+          this.handleNetHackCrash(error);
+          return new Promise(() => {});
+        }
+        this.sendCharacterSelection();
+
+        console.log("🧙 Waiting for the player's character (async)...");
+        return new Promise((resolve) => {
+          this.characterResolver = resolve;
+        });
       case "shim_raw_print":
         const [rawText] = args;
         console.log(`📢 RAW PRINT: "${rawText}"`);
-
-        // Send raw print messages to the UI log
-        if (this.ws && this.ws.readyState === 1 && rawText && rawText.trim()) {
-          this.ws.send(
-            JSON.stringify({
-              type: "raw_print",
-              text: rawText.trim(),
-            })
-          );
+        this.checkRestoreGreeting(rawText);
+
+        // Send raw print messages to the UI log. The game's messages reach
+        // this port as raw prints, so they are kept as message window history
+        if (rawText && rawText.trim()) {
+          this.recordGameMessage(rawText.trim(), 1, 0);
+          this.sendToClient({
+            type: "raw_print",
+            text: rawText.trim(),
+          });
         }
         return 0;
       case "shim_wait_synch":
         console.log("NetHack waiting for synchronization");
         return 0;
       case "shim_select_menu":
-        const [menuSelectWinid, menuSelectHow, menuPtr] = args;
+        const [menuSelectWinid, menuSelectHow, menuListArg] = args;
+        // The shim hands over where its menu_list argument is stored, so the
+        // menu_item ** to fill in is one dereference away
+        const menuListPtr = this.nethackModule.getValue(menuListArg, "*");
         console.log(
-          `📋 Menu selection request for window ${menuSelectWinid}, how: ${menuSelectHow}, ptr: ${menuPtr}`
+          `📋 Menu selection request for window ${menuSelectWinid}, how: ${MENU_SELECT_NAMES[menuSelectHow]}, ptr: ${menuListPtr}`
         );
 
-        // For multi-pickup menus (how == PICK_ANY), check if we're ready to confirm
-        if (menuSelectHow === 2 && this.isInMultiPickup) {
-          // If user already confirmed selections, return immediately
-          if (this.multiPickupReadyToConfirm && this.menuSelections.size > 0) {
-            console.log(
-              "📋 Multi-pickup already confirmed - returning selection count immediately"
-            );
-            const selectionCount = this.menuSelections.size;
-
-            // Try to write the selections to NetHack's memory if we have the module
-            if (this.nethackModule && menuPtr) {
-              try {
-                console.log(
-                  `📋 Writing selections to NetHack memory at ptr: ${menuPtr}`
-                );
-                const selectedItems = Array.from(this.menuSelections.values());
-
-                // NetHack expects us to fill an array of `menu_item` structs.
-                // Each struct has two fields: `item` (a pointer/identifier) and `count`.
-                // We will write the identifier to the `item` field.
-                for (let i = 0; i < selectedItems.length; i++) {
-                  const item = selectedItems[i];
-                  // The menu_item struct is 8 bytes (on a 32-bit system): {int item_ptr, int count}
-                  const structOffset = menuPtr + i * 8;
-                  const itemIdentifier = item.originalAccelerator;
-
-                  console.log(
-                    `📋 Writing item ${i}: identifier ${itemIdentifier} to offset ${structOffset}`
-                  );
-                  this.nethackModule.setValue(
-                    structOffset,
-                    itemIdentifier,
-                    "i32"
-                  ); // Write the identifier
-                  this.nethackModule.setValue(structOffset + 4, -1, "i32"); // Set count to -1 for "all"
-                }
-                console.log(
-                  "📋 Successfully wrote selections to NetHack memory"
-                );
-              } catch (error) {
-                console.log(
-                  "⚠️ Error writing selections to NetHack memory:",
-                  error
-                );
-              }
-            }
+        // The inventory has gone out as an inventory_update already, and
+        // the client shows that in its own dialog
+        if (menuSelectHow === PICK_NONE && this.currentMenuIsInventory) {
+          this.nethackModule.setValue(menuListPtr, 0, "*");
+          return 0;
+        }
 
-            // Clear all multi-pickup state
-            this.menuSelections.clear();
-            this.isInMultiPickup = false;
-            this.multiPickupReadyToConfirm = false;
-            return selectionCount;
-          }
+        const selectableItems = this.currentMenuItems.filter(
+          (item) => !item.isCategory
+        );
+        if (menuSelectHow !== PICK_NONE && selectableItems.length === 0) {
+          console.log("📋 Menu has no selectable items - returning 0");
+          this.nethackModule.setValue(menuListPtr, 0, "*");
+          return 0;
+        }
 
-          console.log(
-            "📋 Multi-pickup menu - waiting for completion (async)..."
+        if (this.endOfGameLines && menuSelectHow === PICK_NONE) {
+          this.endOfGameLines.push(
+            ...this.currentMenuItems.map((item) => item.text),
+            ""
           );
-          return new Promise((resolve) => {
-            // Set up a special resolver for menu selection completion
-            this.menuSelectionResolver = resolve;
-            this.waitingForMenuSelection = true;
-          });
         }
 
-        // If we have completed selections from multi-pickup, return the count
-        if (this.menuSelections.size > 0) {
-          const selectedItems = Array.from(this.menuSelections.values());
-          console.log(
-            `📋 Returning ${this.menuSelections.size} selected items:`,
-            selectedItems.map((item) => `${item.menuChar}:${item.text}`)
-          );
+        // Every other menu is shown and waits for the player: read-only
+        // (PICK_NONE) ones until dismissed, the rest until they pick
+        this.pendingPrompt = {
+          type: "menu",
+          window: menuSelectWinid,
+          how: MENU_SELECT_NAMES[menuSelectHow],
+          prompt: this.currentMenuPrompt || "",
+          items: this.currentMenuItems,
+        };
+        this.sendToClient(this.pendingPrompt);
 
-          const selectionCount = this.menuSelections.size;
-          // Clear selections and multi-pickup state after returning them
-          this.menuSelections.clear();
-          this.isInMultiPickup = false;
-          return selectionCount;
-        }
+        console.log("📋 Waiting for menu selection (async)...");
+        return new Promise((resolve) => {
+          this.activeMenu = {
+            how: menuSelectHow,
+            items: this.currentMenuItems,
+            selected: new Map(
+              selectableItems
+                .filter((item) => item.selected)
+                .map((item) => [item.accelerator, -1])
+            ),
+            count: 0,
+            menuListPtr: menuListPtr,
+            resolve: resolve,
+          };
+          // Keys typed before the menu appeared go to it
+          while (this.activeMenu && this.queuedInputs.length > 0) {
+            this.handleMenuKey(this.queuedInputs.shift());
+          }
+        });
 
-        // For single-selection menus (how == PICK_ONE), check if we have a single selection
-        if (menuSelectHow === 1 && this.menuSelections.size === 1) {
-          const selectedItem = Array.from(this.menuSelections.values())[0];
-          console.log(
-            `📋 Returning single selection: ${selectedItem.menuChar} (${selectedItem.text})`
-          );
-          // For single selection, NetHack might expect the accelerator character code
-          return (
-            selectedItem.originalAccelerator ||
-            selectedItem.menuChar.charCodeAt(0)
-          );
+      case "shim_get_ext_cmd":
+        if (!this.extendedCommands) {
+          try {
+            this.extendedCommands = readExtendedCommands(this.nethackModule);
+          } catch (error) {
+            this.handleNetHackCrash(error);
+            return new Promise(() => {});
+          }
         }
 
-        // Default: no selection
-        console.log("📋 Returning 0 (no selection)");
-        return 0;
+        console.log("⌨️ Waiting for an extended command (async)...");
+        return new Promise((resolve) => {
+          this.extendedCommand = { typed: "", resolve: resolve };
+          this.sendExtendedCommandPrompt();
+          // Keys typed straight after # are the start of the name
+          while (this.extendedCommand && this.queuedInputs.length > 0) {
+            this.handleExtendedCommandKey(this.queuedInputs.shift());
+          }
+        });
 
       case "shim_askname":
         console.log("NetHack is asking for player name, args:", args);
-        if (this.ws && this.ws.readyState === 1) {
-          this.ws.send(
-            JSON.stringify({
-              type: "name_request",
-              text: "What is your name?",
-              maxLength: 30,
-            })
-          );
-        }
-
-        if (this.latestInput) {
-          const name = this.latestInput;
-          this.latestInput = null;
-          console.log(`Using player name from input: ${name}`);
-          return name;
-        }
+        this.sendNameRequest();
 
-        console.log("No name provided, using default");
-        return "Player";
+        console.log("👤 Waiting for player name (async)...");
+        return new Promise((resolve) => {
+          this.nameResolver = resolve;
+          // No timeout - wait for the name via WebSocket
+        });
       case "shim_mark_synch":
         console.log("NetHack marking synchronization");
         return 0;
@@ -1155,59 +2917,63 @@ class NetHackSession {
         );
 
         // Update player position when NetHack requests clipping around a position
-        const oldPlayerPos = { ...this.playerPos };
-        this.playerPos = { x: clipX, y: clipY };
+        const oldPlayerPos = { ...this.playerPosition };
+        this.playerPosition = { x: clipX, y: clipY };
 
         // Send updated player position to client
-        if (this.ws && this.ws.readyState === 1) {
-          this.ws.send(
-            JSON.stringify({
-              type: "player_position",
-              x: clipX,
-              y: clipY,
-            })
-          );
+        this.sendToClient({
+          type: "player_position",
+          x: clipX,
+          y: clipY,
+        });
 
-          // Also send a map update to clear the old player position and show new one
-          // This helps when NetHack doesn't send explicit glyph updates
-          this.ws.send(
-            JSON.stringify({
-              type: "force_player_redraw",
-              oldPosition: oldPlayerPos,
-              newPosition: { x: clipX, y: clipY },
-            })
-          );
-        }
+        // Also send a map update to clear the old player position and show new one
+        // This helps when NetHack doesn't send explicit glyph updates
+        this.sendToClient({
+          type: "force_player_redraw",
+          oldPosition: oldPlayerPos,
+          newPosition: { x: clipX, y: clipY },
+        });
         return 0;
 
       case "shim_clear_nhwindow":
         const [clearWinId] = args;
         console.log(`🗑️ Clearing window ${clearWinId}`);
+        this.windowLines.delete(clearWinId);
 
         // If clearing the map window, clear the 3D scene
         if (clearWinId === 2 || clearWinId === 3) {
           // WIN_MAP = 2, but window 3 is also used for map display in some contexts
           console.log("Map window cleared - clearing 3D scene");
-          this.ws.send(
-            JSON.stringify({
-              type: "clear_scene",
-              message: "Level transition - clearing display",
-            })
-          );
+          this.sendToClient({
+            type: "clear_scene",
+            message: "Level transition - clearing display",
+          });
         }
         return 0;
 
       case "shim_getmsghistory":
         const [init] = args;
         console.log(`Getting message history, init: ${init}`);
-        // Return empty string for message history
-        return "";
+        // Saving asks for one message per call, init starting from the
+        // oldest, until it gets a null
+        if (init) {
+          this.messageHistoryQueue = this.getMessageHistory().map(
+            (message) => message.text
+          );
+        }
+        const historyMessage = this.messageHistoryQueue.shift();
+        return historyMessage === undefined ? null : historyMessage;
 
       case "shim_putmsghistory":
         const [msg, is_restoring] = args;
         console.log(
           `Putting message history: "${msg}", restoring: ${is_restoring}`
         );
+        // Restoring hands back the messages saved with the game, then a null
+        if (msg) {
+          this.recordGameMessage(msg, 1, 0);
+        }
         return 0;
 
       case "shim_exit_nhwindows":
@@ -1216,6 +2982,8 @@ class NetHackSession {
       case "shim_destroy_nhwindow":
         const [destroyWinId] = args;
         console.log(`🗑️ Destroying window ${destroyWinId}`);
+        this.windowLines.delete(destroyWinId);
+        this.windowTypes.delete(destroyWinId);
         return 0;
       case "shim_curs":
         const [cursWin, cursX, cursY] = args;
@@ -1229,75 +2997,38 @@ class NetHackSession {
         console.log(`📊 Status update field ${field}, ptr: ${ptr}, chg: ${chg}, percent: ${percent}, color: ${color}, colormask: ${colormask}`);
         
         // Handle status field updates (HP, stats, etc.)
-        if (this.ws && this.ws.readyState === 1) {
-          let value = null;
-          
-          // Map of NetHack status fields to their expected data types
-          // Based on NetHack source code - most numeric fields are integers, some are strings
-          const fieldTypes = {
-            0: "s",  // name - string
-            1: "i",  // strength - integer (may be formatted like "18/01" but stored as int)
-            2: "i",  // dexterity - integer
-            3: "i",  // constitution - integer  
-            4: "i",  // intelligence - integer
-            5: "i",  // wisdom - integer
-            6: "i",  // charisma - integer
-            7: "s",  // alignment - string
-            8: "i",  // score - integer
-            9: "i",  // hp - integer
-            10: "i", // maxhp - integer
-            11: "i", // power - integer
-            12: "i", // maxpower - integer
-            13: "i", // armor - integer
-            14: "i", // level - integer
-            15: "i", // experience - integer
-            16: "i", // time - integer
-            17: "s", // hunger - string
-            18: "s", // encumbrance - string
-            19: "s", // dungeon - string
-            20: "i", // dlevel - integer
-            21: "i", // gold - integer
-          };
-          
-          const expectedType = fieldTypes[field] || "i"; // Default to integer
-          
-          // Try to get the actual value from the pointer using the correct type
-          if (globalThis.nethackGlobal && globalThis.nethackGlobal.helpers && globalThis.nethackGlobal.helpers.getPointerValue) {
-            try {
-              value = globalThis.nethackGlobal.helpers.getPointerValue("status_update", ptr, expectedType);
-              console.log(`📊 Got ${expectedType === 'i' ? 'integer' : 'string'} value for field ${field}: ${value}`);
-            } catch (error) {
-              console.log(`⚠️ Could not read status pointer for field ${field} as ${expectedType}:`, error.message);
-              
-              // Fallback: try the other type
-              const fallbackType = expectedType === "i" ? "s" : "i";
-              try {
-                value = globalThis.nethackGlobal.helpers.getPointerValue("status_update", ptr, fallbackType);
-                console.log(`📊 Fallback: got ${fallbackType === 'i' ? 'integer' : 'string'} value for field ${field}: ${value}`);
-              } catch (fallbackError) {
-                console.log(`⚠️ Fallback also failed for field ${field}:`, fallbackError.message);
-                value = `ptr:${ptr}`; // Last resort fallback
-              }
-            }
-          } else {
-            // Fallback if helpers are not available
-            console.log(`⚠️ nethackGlobal.helpers.getPointerValue not available`);
-            value = `ptr:${ptr}`;
+        // ptr holds a pointer to the value: the condition bitmask for
+        // BL_CONDITION and the text the tty would show for every other field.
+        // BL_FLUSH and BL_RESET (negative fields) carry no value at all.
+        let value = null;
+        const helpers = this.nethackGlobal && this.nethackGlobal.helpers;
+        if (field >= 0 && helpers && helpers.getPointerValue) {
+          try {
+            const valuePtr = helpers.getPointerValue("status_update", ptr, "p");
+            value = helpers.getPointerValue(
+              "status_update",
+              valuePtr,
+              field === 22 ? "i" : "s" // BL_CONDITION
+            );
+            console.log(`📊 Got value for field ${field}: ${value}`);
+          } catch (error) {
+            console.log(`⚠️ Could not read status pointer for field ${field}:`, error.message);
           }
-          
-          this.ws.send(
-            JSON.stringify({
-              type: "status_update",
-              field: field,
-              value: value,
-              ptr: ptr,
-              chg: chg,
-              percent: percent,
-              color: color,
-              colormask: colormask,
-            })
-          );
         }
+
+        const statusMessage = {
+          type: "status_update",
+          field: field,
+          value: value,
+          ptr: ptr,
+          chg: chg,
+          percent: percent,
+          color: color,
+          colormask: colormask,
+        };
+        this.statusFields.set(field, statusMessage);
+
+        this.sendToClient(statusMessage);
         return 0;
 
       default:
@@ -1307,8 +3038,196 @@ class NetHackSession {
   }
 }
 
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// Killing a session needs an "Authorization: Bearer <token>" header with this
+// token, and is turned off when it is not set
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || null;
+
+// JSON API routes, all under /api/
+function handleApiRequest(req, res) {
+  const { pathname, searchParams } = new URL(
+    req.url,
+    `http://${req.headers.host}`
+  );
+
+  // /api/sessions/<sessionId>[/map|/status]
+  const sessionMatch = pathname.match(/^\/api\/sessions\/(\d+)(?:\/(map|status))?$/);
+  const session = sessionMatch ? sessions.get(parseInt(sessionMatch[1], 10)) : null;
+
+  // DELETE /api/sessions/<sessionId> - end a stuck game
+  if (req.method === "DELETE" && sessionMatch && !sessionMatch[2]) {
+    if (!ADMIN_API_TOKEN) {
+      sendJson(res, 403, { error: "Killing sessions is disabled; set ADMIN_API_TOKEN" });
+      return;
+    }
+    if (req.headers.authorization !== `Bearer ${ADMIN_API_TOKEN}`) {
+      sendJson(res, 401, { error: "Not authorized" });
+      return;
+    }
+    if (!session) {
+      sendJson(res, 404, { error: "Session not found" });
+      return;
+    }
+    session.kill("Session ended by the server");
+    sessions.delete(session.id);
+    console.log(`Game sessions: ${sessions.size}`);
+    sendJson(res, 200, { sessionId: session.id, killed: true });
+    return;
+  }
+
+  if (req.method !== "GET") {
+    sendJson(res, 405, { error: "Method not allowed" });
+    return;
+  }
+
+  // GET /api/saves/<playerId> - list a player's saved games
+  const savesMatch = pathname.match(/^\/api\/saves\/([^/]+)$/);
+  if (savesMatch) {
+    const playerId = savesMatch[1];
+    if (!isValidPlayerId(playerId)) {
+      sendJson(res, 400, { error: "Invalid player id" });
+      return;
+    }
+    sendJson(res, 200, { playerId: playerId, saves: listPlayerSaves(playerId) });
+    return;
+  }
+
+  // GET /api/games - games in progress that can be watched at /watch/<sessionId>
+  if (pathname === "/api/games") {
+    const games = Array.from(sessions.values())
+      .filter((session) => session.hasStarted && !session.isClosed)
+      .map((session) => session.getSummary());
+    sendJson(res, 200, { games: games });
+    return;
+  }
+
+  // GET /api/sessions - every session on the server, started or not
+  if (pathname === "/api/sessions") {
+    sendJson(res, 200, {
+      sessions: Array.from(sessions.values()).map((session) =>
+        session.getSummary()
+      ),
+    });
+    return;
+  }
+
+  if (sessionMatch) {
+    if (!session) {
+      sendJson(res, 404, { error: "Session not found" });
+      return;
+    }
+
+    // GET /api/sessions/<sessionId>/map[?format=text] - the map as ASCII rows
+    if (sessionMatch[2] === "map") {
+      const rows = session.getAsciiMap();
+      if (searchParams.get("format") === "text") {
+        res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+        res.end(rows.join("\n") + "\n");
+        return;
+      }
+      sendJson(res, 200, {
+        sessionId: session.id,
+        playerPosition: session.playerPosition,
+        rows: rows,
+      });
+      return;
+    }
+
+    // GET /api/sessions/<sessionId>/status - status line and inventory
+    if (sessionMatch[2] === "status") {
+      sendJson(res, 200, {
+        sessionId: session.id,
+        status: session.getStatus(),
+        inventory: session.getInventory(),
+      });
+      return;
+    }
+
+    // GET /api/sessions/<sessionId> - the same summary as in the list
+    sendJson(res, 200, session.getSummary());
+    return;
+  }
+
+  // GET /api/leaderboard?role=&race=&from=&to=&limit= - best scores first
+  if (pathname === "/api/leaderboard") {
+    const filters = {
+      role: searchParams.get("role") || null,
+      race: searchParams.get("race") || null,
+      from: searchParams.get("from") || null,
+      to: searchParams.get("to") || null,
+    };
+    for (const key of ["from", "to"]) {
+      if (filters[key] && !/^\d{4}-\d{2}-\d{2}$/.test(filters[key])) {
+        sendJson(res, 400, { error: `${key} must be a YYYY-MM-DD date` });
+        return;
+      }
+    }
+    const limit = Math.min(
+      parseInt(searchParams.get("limit"), 10) || LEADERBOARD_DEFAULT_LIMIT,
+      LEADERBOARD_MAX_LIMIT
+    );
+
+    const leaderboard = readLeaderboard();
+    const entries = filterLeaderboard(leaderboard, filters);
+    sendJson(res, 200, {
+      entries: entries.slice(0, limit),
+      total: entries.length,
+      // Everything that can be filtered on, whatever the current filters
+      roles: Array.from(new Set(leaderboard.map((entry) => entry.role))).sort(),
+      races: Array.from(new Set(leaderboard.map((entry) => entry.race))).sort(),
+    });
+    return;
+  }
+
+  // GET /api/recordings - list recorded games, newest first
+  if (pathname === "/api/recordings") {
+    sendJson(res, 200, { recordings: listRecordings() });
+    return;
+  }
+
+  // GET /api/recordings/<file> - the raw JSON lines recording
+  // GET /api/recordings/<file>/ttyrec - the same game as a ttyrec stream
+  const recordingMatch = pathname.match(
+    /^\/api\/recordings\/([^/]+)(\/ttyrec)?$/
+  );
+  if (recordingMatch) {
+    const file = recordingMatch[1];
+    const recording = readRecording(file);
+    if (!recording) {
+      sendJson(res, 404, { error: "Recording not found" });
+      return;
+    }
+    if (recordingMatch[2]) {
+      const ttyrec = recordingToTtyrec(recording);
+      res.writeHead(200, {
+        "Content-Type": "application/octet-stream",
+        "Content-Disposition": `attachment; filename="${file.replace(
+          /\.jsonl$/,
+          ".ttyrec"
+        )}"`,
+      });
+      res.end(ttyrec);
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/x-ndjson" });
+    fs.createReadStream(path.join(RECORDINGS_DIR, file)).pipe(res);
+    return;
+  }
+
+  sendJson(res, 404, { error: "Not found" });
+}
+
 // HTTP Server for serving static files
 const server = http.createServer((req, res) => {
+  if (req.url.startsWith("/api/")) {
+    handleApiRequest(req, res);
+    return;
+  }
+
   let filePath = req.url === "/" ? "/index.html" : req.url;
   const extname = path.extname(filePath);
 
@@ -1354,18 +3273,131 @@ const server = http.createServer((req, res) => {
 
 // WebSocket Server
 const wss = new WebSocket.Server({ server });
-let sessionCount = 0;
+const sessions = new Map(); // key=session id, value=NetHackSession
+let nextSessionId = 1;
+
+// How long a game survives without a connected client before it is reaped
+const SESSION_IDLE_TIMEOUT_MS =
+  parseInt(process.env.SESSION_IDLE_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+
+function findSessionByToken(token) {
+  if (!token) {
+    return null;
+  }
+  for (const session of sessions.values()) {
+    if (session.token === token && !session.isClosed) {
+      return session;
+    }
+  }
+  return null;
+}
+
+// Tell a client the player's stored options and which number_pad setting the
+// current game is using, which can differ until the next game starts
+function sendPlayerOptions(ws, session, errors = []) {
+  const options = readPlayerOptions(session.playerId);
+  ws.send(
+    JSON.stringify({
+      type: "options",
+      options: options,
+      definitions: describePlayerOptions(),
+      numberPad: (session.options || options).number_pad,
+      errors: errors,
+    })
+  );
+}
+
+// A /watch/<sessionId> connection follows someone else's game without
+// being able to play it
+function handleSpectatorConnection(ws, sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session || !session.hasStarted || session.isClosed) {
+    console.log(`👀 Spectator asked for unknown game ${sessionId}`);
+    ws.close(4004, "No such game");
+    return;
+  }
+
+  session.addSpectator(ws);
+
+  ws.on("message", (message) => {
+    try {
+      const data = JSON.parse(message);
+      if (data.type === "request_full_state") {
+        ws.send(JSON.stringify(session.getFullState()));
+      } else {
+        console.log(
+          `👀 Ignoring ${data.type} from spectator of session ${session.id}`
+        );
+      }
+    } catch (error) {
+      console.error("Error parsing spectator message:", error);
+    }
+  });
+
+  ws.on("close", () => {
+    session.removeSpectator(ws);
+  });
+}
+
+wss.on("connection", (ws, req) => {
+  const requestUrl = new URL(req.url, `http://${req.headers.host}`);
+
+  const watchMatch = requestUrl.pathname.match(/^\/watch\/(\d+)$/);
+  if (watchMatch) {
+    handleSpectatorConnection(ws, parseInt(watchMatch[1], 10));
+    return;
+  }
+
+  const resumeToken = requestUrl.searchParams.get("session");
+  const requestedPlayerId = requestUrl.searchParams.get("player");
 
-wss.on("connection", (ws) => {
-  console.log("New WebSocket connection");
-  sessionCount++;
+  let session = findSessionByToken(resumeToken);
+  const resumed = session !== null;
 
-  const session = new NetHackSession(ws);
+  if (resumed) {
+    console.log(`Reattaching WebSocket connection to session ${session.id}`);
+    session.attach(ws);
+  } else {
+    const sessionId = nextSessionId++;
+    const playerId = isValidPlayerId(requestedPlayerId)
+      ? requestedPlayerId
+      : crypto.randomBytes(16).toString("hex");
+    console.log(
+      `New WebSocket connection - session ${sessionId}, player ${playerId}`
+    );
+    session = new NetHackSession(ws, sessionId, playerId);
+    sessions.set(sessionId, session);
+  }
+  console.log(`Game sessions: ${sessions.size}`);
+
+  ws.send(
+    JSON.stringify({
+      type: "session",
+      token: session.token,
+      sessionId: session.id,
+      playerId: session.playerId,
+      resumed: resumed,
+    })
+  );
+
+  sendPlayerOptions(ws, session);
+
+  // Let the player pick up a saved game before NetHack starts a new one
+  if (!session.hasStarted) {
+    const saves = listPlayerSaves(session.playerId);
+    if (saves.length > 0) {
+      ws.send(JSON.stringify({ type: "saved_games", saves: saves }));
+    } else {
+      session.start();
+    }
+  }
+
+  session.handleFullStateRequest();
 
   ws.on("message", (message) => {
     try {
       const data = JSON.parse(message);
-      console.log("Received:", data);
+      console.log(`Received [session ${session.id}]:`, data);
 
       if (data.type === "input") {
         session.handleClientInput(data.input);
@@ -1377,6 +3409,34 @@ wss.on("connection", (ws) => {
           data.centerY,
           data.radius
         );
+      } else if (data.type === "request_full_state") {
+        session.handleFullStateRequest();
+      } else if (data.type === "request_message_history") {
+        session.handleMessageHistoryRequest();
+      } else if (data.type === "menu_selection") {
+        session.handleMenuSelection(data.selections);
+      } else if (data.type === "set_options") {
+        const { options, errors } = validatePlayerOptions(data.options);
+        if (errors.length === 0) {
+          writePlayerOptions(session.playerId, options);
+        } else {
+          console.log("⚠️ Rejected options:", errors);
+        }
+        sendPlayerOptions(ws, session, errors);
+      } else if (data.type === "player_name") {
+        session.handlePlayerName(data.name);
+      } else if (data.type === "extended_command") {
+        session.handleExtendedCommand(data.command);
+      } else if (data.type === "character") {
+        session.handleCharacterChoice(data.character);
+      } else if (data.type === "start_game") {
+        const restoreSave = data.save
+          ? readPlayerSave(session.playerId, data.save)
+          : null;
+        if (data.save && !restoreSave) {
+          console.log(`⚠️ Save ${data.save} not found - starting new game`);
+        }
+        session.start(restoreSave);
       }
     } catch (error) {
       console.error("Error parsing message:", error);
@@ -1384,13 +3444,30 @@ wss.on("connection", (ws) => {
   });
 
   ws.on("close", () => {
-    console.log("WebSocket connection closed");
-    sessionCount--;
+    console.log(`WebSocket connection closed - session ${session.id}`);
+    if (session.isClosed) {
+      sessions.delete(session.id); // The game itself has ended
+      console.log(`Game sessions: ${sessions.size}`);
+      return;
+    }
+    if (!session.detach(ws)) {
+      return; // Another connection has already taken this game over
+    }
+
+    console.log(
+      `⏳ Session ${session.id} orphaned - reaping in ${SESSION_IDLE_TIMEOUT_MS}ms unless resumed`
+    );
+    session.reapTimer = setTimeout(() => {
+      console.log(`🧹 Reaping idle session ${session.id}`);
+      session.close();
+      sessions.delete(session.id);
+      console.log(`Game sessions: ${sessions.size}`);
+    }, SESSION_IDLE_TIMEOUT_MS);
   });
 });
 
 const PORT = 3000;
 server.listen(PORT, () => {
   console.log(`NetHack 3D Server running on http://localhost:${PORT}`);
-  console.log(`Game sessions: ${sessionCount}`);
+  console.log(`Game sessions: ${sessions.size}`);
 });
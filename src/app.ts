@@ -7,14 +7,221 @@ import * as THREE from "three";
 
 // --- TYPE DEFINITIONS ---
 
-// A map to store meshes for each tile, keyed by "x,y" coordinates
-type TileMap = Map<string, THREE.Mesh>;
-// A map to store text sprites for glyph numbers, keyed by "x,y" coordinates
-type TextSpriteMap = Map<string, THREE.Sprite>;
+// One instanced mesh drawing many tiles, and the "x,y" key of each instance
+type InstanceBatch = {
+  mesh: THREE.InstancedMesh;
+  keys: string[];
+};
+// Where a tile's instance lives
+type InstanceSlot = {
+  batch: InstanceBatch;
+  index: number;
+};
+// A map to store the instance drawing each tile, keyed by "x,y" coordinates
+type InstanceMap = Map<string, InstanceSlot>;
+
+// How the server classified a map glyph (classifyGlyph in server.js)
+type GlyphCategory = {
+  class: string; // monster, object, cmap, trap, invisible, warning, statue, body, swallow, explode, zap
+  index: number; // Monster id, object id, cmap symbol id, trap type or warning level
+  variant?: string | null; // pet/detected/ridden monsters, explosion and zap types
+  objectClass?: string | null;
+};
+
+// The last glyph drawn on a tile, kept so it can be redrawn as the player moves
+type TileGlyph = {
+  glyph: number;
+  char?: string;
+  color?: number;
+  category?: GlyphCategory | null;
+};
+
+// How glyphs are drawn, chosen in the display settings
+type GlyphSettings = {
+  fontFamily: string;
+  fontSize: number; // Pixels within a GLYPH_CELL_SIZE cell
+  outline: boolean; // Black outline around each character
+  backdropOpacity: number; // 0 (none) to 1 (solid black) behind each glyph
+  tileset: string; // URL of a tileset index, "" for none
+  useTiles: boolean; // Draw glyphs from the tileset instead of as characters
+};
+
+// A loaded graphical tileset: its image and NetHack's glyph2tile table
+type Tileset = {
+  url: string;
+  texture: THREE.Texture;
+  columns: number;
+  rows: number;
+  glyph2tile: number[]; // Tile number for each glyph number
+};
+
+// One line of the message log
+type LogEntry = {
+  text: string;
+  attr: number; // NetHack text attribute it was printed with
+  turn: number; // Game turn it was printed on, 0 before the first status update
+  category: string; // One of LOG_CATEGORIES
+};
 
 // --- CONSTANTS ---
 const TILE_SIZE = 1; // The size of each tile in 3D space
 const WALL_HEIGHT = 1; // How tall wall blocks are
+const MAP_TILE_CAPACITY = 80 * 21; // COLNO x ROWNO, the most instances a batch draws
+// NetHack colours (CLR_* in include/color.h) and how glyphs are drawn in them
+const CLR_RED = 1;
+const CLR_GRAY = 7;
+const NO_COLOR = 8;
+const CLR_BRIGHT_GREEN = 10;
+const CLR_YELLOW = 11;
+const CLR_BRIGHT_BLUE = 12;
+const CLR_BRIGHT_MAGENTA = 13;
+const CLR_BRIGHT_CYAN = 14;
+const CLR_WHITE = 15;
+const NETHACK_COLORS = [
+  "#555555", // CLR_BLACK, dark gray as on a tty so it shows on the backdrop
+  "#aa0000", // CLR_RED
+  "#00aa00", // CLR_GREEN
+  "#aa5500", // CLR_BROWN
+  "#0000aa", // CLR_BLUE
+  "#aa00aa", // CLR_MAGENTA
+  "#00aaaa", // CLR_CYAN
+  "#aaaaaa", // CLR_GRAY
+  "#aaaaaa", // NO_COLOR
+  "#ff5555", // CLR_ORANGE
+  "#55ff55", // CLR_BRIGHT_GREEN
+  "#ffff55", // CLR_YELLOW
+  "#5555ff", // CLR_BRIGHT_BLUE
+  "#ff55ff", // CLR_BRIGHT_MAGENTA
+  "#55ffff", // CLR_BRIGHT_CYAN
+  "#ffffff", // CLR_WHITE
+];
+// Glyph atlas: every printable ASCII character in each NetHack colour, one
+// block of GLYPH_ATLAS_CHARS cells per colour
+const GLYPH_ATLAS_FIRST_CHAR = 32;
+const GLYPH_ATLAS_CHARS = 96;
+const GLYPH_ATLAS_COLUMNS = 32;
+const GLYPH_ATLAS_ROWS = (GLYPH_ATLAS_CHARS * NETHACK_COLORS.length) / GLYPH_ATLAS_COLUMNS;
+const GLYPH_CELL_SIZE = 64; // Pixels per atlas cell
+const GLYPH_FONT_FAMILIES = [
+  "monospace",
+  "'Courier New', monospace",
+  "'DejaVu Sans Mono', monospace",
+  "Consolas, monospace",
+  "'Lucida Console', monospace",
+  "sans-serif",
+  "serif",
+];
+const DEFAULT_GLYPH_SETTINGS: GlyphSettings = {
+  fontFamily: "monospace",
+  fontSize: 28,
+  outline: false,
+  backdropOpacity: 0.7,
+  tileset: "",
+  useTiles: false,
+};
+const GLYPH_FONT_SIZE_MIN = 12;
+const GLYPH_FONT_SIZE_MAX = 56;
+const TILESET_URL_MAX_LENGTH = 200;
+// NetHack cmap symbol ids (S_* in include/defsym.h) drawn as more than floor
+const S_TRWALL = 11; // Last wall symbol, walls start at S_vwall = 1
+const S_VCDOOR = 15; // Closed doors, S_hcdoor follows
+const S_HCDOOR = 16;
+const S_BARS = 17;
+const S_TREE = 18;
+const S_CORR = 21; // Corridors, S_litcorr follows
+const S_LITCORR = 22;
+const S_FOUNTAIN = 31;
+const S_POOL = 32;
+const S_WATER = 41;
+// NetHack 3.7 status fields (BL_* in include/botl.h) as playerStats keys;
+// BL_HD and BL_CONDITION are not shown
+const STATUS_FIELD_NAMES: { [key: number]: string } = {
+  0: "name",
+  1: "strength",
+  2: "dexterity",
+  3: "constitution",
+  4: "intelligence",
+  5: "wisdom",
+  6: "charisma",
+  7: "alignment",
+  8: "score",
+  9: "encumbrance",
+  10: "gold",
+  11: "power",
+  12: "maxpower",
+  13: "level",
+  14: "armor",
+  16: "time",
+  17: "hunger",
+  18: "hp",
+  19: "maxhp",
+  20: "dlevel",
+  21: "experience",
+};
+const TEXT_WINDOW_PAGE_LINES = 20; // Lines per page of a text window
+// Message log categories, each with a filter toggle in the log panel
+const LOG_CATEGORIES = ["combat", "items", "system", "other"];
+const LOG_CATEGORY_LABELS: { [category: string]: string } = {
+  combat: "Combat",
+  items: "Items",
+  system: "System",
+  other: "Other",
+};
+// Tried in order on the game's messages; anything unmatched is "other".
+// Messages the client writes itself are "system".
+const LOG_CATEGORY_PATTERNS = [
+  {
+    category: "combat",
+    pattern: /\b(hit|hits|miss|misses|missed|bite|bites|sting|stings|kick|kicks|butt|butts|claw|claws|touches|kill|kills|killed|destroy|destroys|destroyed|dies|die|thrusts|swings|strikes|wounded)\b/i,
+  },
+  {
+    category: "items",
+    pattern: /^[a-zA-Z$#] - |\b(pick up|picks up|drop|drops|dropped|wield|wielding|wear|wearing|put on|take off|remove|quaff|eat|read|zap|see here|several objects|gold pieces?)\b/i,
+  },
+];
+const LOG_RENDER_LIMIT = 500; // Newest matching messages drawn in the panel
+const TOMBSTONE_LINE_LENGTH = 16; // Characters per engraved line, as on NetHack's rip
+const REPLAY_MAX_DELAY_MS = 2000; // Longest pause between two replayed events at 1x
+const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8, 16];
+// Prompts a spectator sees in the log instead of as dialogs it could answer
+const SPECTATOR_PROMPT_TYPES = [
+  "question",
+  "menu",
+  "direction_question",
+  "position_request",
+  "name_request",
+  "character_selection",
+  "extended_command",
+  "more",
+];
+const SESSION_TOKEN_KEY = "nethack3d.sessionToken"; // localStorage key for resuming a game
+const PLAYER_ID_KEY = "nethack3d.playerId"; // localStorage key the server files saved games under
+const CHARACTER_KEY = "nethack3d.character"; // localStorage key for the last character created
+const PLAYER_NAME_KEY = "nethack3d.playerName"; // localStorage key for the last name entered
+const GLYPH_SETTINGS_KEY = "nethack3d.glyphSettings"; // localStorage key for the display settings
+// Browser navigation keys and the compass direction each one moves in
+const NAVIGATION_KEY_DIRECTIONS: { [key: string]: string } = {
+  ArrowUp: "n",
+  ArrowDown: "s",
+  ArrowLeft: "w",
+  ArrowRight: "e",
+  Home: "nw",
+  PageUp: "ne",
+  End: "sw",
+  PageDown: "se",
+};
+// Movement keys for each compass direction, with number_pad on and off
+const DIRECTION_KEYS: { [dir: string]: { numpad: string; vi: string } } = {
+  nw: { numpad: "7", vi: "y" },
+  n: { numpad: "8", vi: "k" },
+  ne: { numpad: "9", vi: "u" },
+  w: { numpad: "4", vi: "h" },
+  self: { numpad: "5", vi: "." },
+  e: { numpad: "6", vi: "l" },
+  sw: { numpad: "1", vi: "b" },
+  s: { numpad: "2", vi: "j" },
+  se: { numpad: "3", vi: "n" },
+};
 
 /**
  * The main game engine class. It encapsulates all the logic for the 3D client.
@@ -24,10 +231,32 @@ class Nethack3DEngine {
   private scene!: THREE.Scene;
   private camera!: THREE.PerspectiveCamera;
 
-  private tileMap: TileMap = new Map();
-  private textSpriteMap: TextSpriteMap = new Map();
+  // Map tiles are drawn by one instanced mesh per geometry and material, the
+  // glyphs on top of them by a single instanced billboard mesh
+  private tileBatches: Map<string, InstanceBatch> = new Map();
+  private tintedMaterials: Map<string, THREE.MeshLambertMaterial> = new Map();
+  private tileMap: InstanceMap = new Map();
+  private glyphBatch: InstanceBatch | null = null;
+  private glyphMap: InstanceMap = new Map();
+  private glyphAtlas: THREE.CanvasTexture | null = null;
+  private glyphSettings: GlyphSettings = { ...DEFAULT_GLYPH_SETTINGS };
+  // With tiles on, glyphs the tileset has a tile for are drawn as billboards
+  // (monsters and objects) or decals on the tile (map features)
+  private tileset: Tileset | null = null;
+  private tilesetBillboards: InstanceBatch | null = null;
+  private tilesetDecals: InstanceBatch | null = null;
+  private tilesetMap: InstanceMap = new Map();
+  private instanceMatrix = new THREE.Matrix4();
+  private tileGlyphs: Map<string, TileGlyph> = new Map();
   private playerPos = { x: 0, y: 0 };
-  private gameMessages: string[] = [];
+  private logEntries: LogEntry[] = []; // Every message this game, oldest first
+  private logSearch: string = ""; // Lower-cased text the log is filtered by
+  private logFilters: { [category: string]: boolean } = {
+    combat: true,
+    items: true,
+    system: true,
+    other: true,
+  };
   private currentInventory: any[] = []; // Store current inventory items
   private pendingInventoryDialog: boolean = false; // Flag to show inventory dialog after update
 
@@ -76,10 +305,47 @@ class Nethack3DEngine {
   // General question handling (pauses all movement)
   private isInQuestion: boolean = false;
 
+  // Text window being read: its lines and the page shown
+  private textWindowLines: any[] = [];
+  private textWindowPage: number = 0;
+  private textWindowAwaitsKey: boolean = true; // Whether NetHack waits for the key closing it
+
+  // Set while the game waits at a --More-- for the messages to be read
+  private isAwaitingMore: boolean = false;
+
+  // Set while the game waits for an extended command name after #
+  private isAwaitingExtendedCommand: boolean = false;
+
+  // The game_over message of a game that has ended, and its tombstone
+  private gameOver: any = null;
+
+  // Why the last saved game chosen could not be restored, shown when the
+  // saved games are offered again
+  private restoreError: string | null = null;
+  private tombstone: THREE.Group | null = null;
+
   // Camera panning
   private cameraPanX: number = 0;
   private cameraPanY: number = 0;
 
+  // Spectator mode - follows another player's game read-only
+  private spectateSessionId: string | null = null;
+
+  // NetHack options: what the player has stored, and whether the running game
+  // uses the number pad (stored changes only apply to the next game)
+  private playerOptions: any = null;
+  private optionDefinitions: any[] = [];
+  private numberPad: boolean = true;
+
+  // Replay mode - plays a server recording back instead of a live game
+  private isReplaying: boolean = false;
+  private replayEvents: any[] = []; // {t, dir, msg} entries after the header
+  private replayIndex: number = 0; // Next event to apply
+  private replayTurns: { turn: number; index: number }[] = []; // First event of each turn
+  private isReplayPlaying: boolean = false;
+  private replaySpeed: number = 1;
+  private replayTimer: number | null = null;
+
   // Pre-create geometries and materials
   private floorGeometry = new THREE.PlaneGeometry(TILE_SIZE, TILE_SIZE);
   private wallGeometry = new THREE.BoxGeometry(
@@ -113,7 +379,17 @@ class Nethack3DEngine {
   constructor() {
     this.initThreeJS();
     this.initUI();
-    this.connectToServer();
+
+    // ?replay=<recording file> plays a recorded game instead of connecting,
+    // ?watch=<session id> follows someone else's game
+    const pageParams = new URLSearchParams(window.location.search);
+    const replayFile = pageParams.get("replay");
+    this.spectateSessionId = pageParams.get("watch");
+    if (replayFile) {
+      this.loadReplay(replayFile);
+    } else {
+      this.connectToServer();
+    }
 
     // Set initial camera position for better viewing
     this.cameraDistance = 15;
@@ -196,11 +472,164 @@ class Nethack3DEngine {
     `;
     connStatus.innerHTML = "Disconnected";
     document.body.appendChild(connStatus);
+
+    this.createGameLogControls();
+    this.createLeaderboardButton();
+    this.createDisplaySettingsButton();
+    this.glyphSettings = this.readGlyphSettings();
+    if (this.glyphSettings.tileset) {
+      this.loadTileset(this.glyphSettings.tileset);
+    }
+  }
+
+  private createLeaderboardButton(): void {
+    const leaderboardButton = document.createElement("button");
+    leaderboardButton.id = "leaderboard-button";
+    leaderboardButton.style.cssText = `
+      position: fixed;
+      top: 70px;
+      right: 10px;
+      background: rgba(0, 0, 0, 0.8);
+      color: white;
+      padding: 5px 10px;
+      border: 1px solid #666;
+      border-radius: 3px;
+      cursor: pointer;
+      font-family: Arial, sans-serif;
+      font-size: 12px;
+      z-index: 1000;
+    `;
+    leaderboardButton.textContent = "🏆 Leaderboard";
+    leaderboardButton.onclick = () => {
+      leaderboardButton.blur();
+      this.showLeaderboard();
+    };
+    document.body.appendChild(leaderboardButton);
+  }
+
+  private createDisplaySettingsButton(): void {
+    const displayButton = document.createElement("button");
+    displayButton.id = "display-settings-button";
+    displayButton.style.cssText = `
+      position: fixed;
+      top: 100px;
+      right: 10px;
+      background: rgba(0, 0, 0, 0.8);
+      color: white;
+      padding: 5px 10px;
+      border: 1px solid #666;
+      border-radius: 3px;
+      cursor: pointer;
+      font-family: Arial, sans-serif;
+      font-size: 12px;
+      z-index: 1000;
+    `;
+    displayButton.textContent = "🔤 Display";
+    displayButton.onclick = () => {
+      displayButton.blur();
+      this.showDisplaySettings();
+    };
+    document.body.appendChild(displayButton);
+  }
+
+  /**
+   * Add search, category filters and export above the message log
+   */
+  private createGameLogControls(): void {
+    const logElement = document.getElementById("game-log");
+    if (!logElement || !logElement.parentElement) {
+      return;
+    }
+
+    const controls = document.createElement("div");
+    controls.id = "game-log-controls";
+    controls.style.cssText = `
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 6px;
+      margin-bottom: 8px;
+      font-size: 11px;
+      color: #aaa;
+    `;
+
+    const search = document.createElement("input");
+    search.type = "search";
+    search.placeholder = "Search messages";
+    search.style.cssText = `
+      flex: 1 1 100%;
+      padding: 4px;
+      background: #111;
+      color: #00ff00;
+      border: 1px solid #333;
+      font-family: 'Courier New', monospace;
+      font-size: 11px;
+    `;
+    search.oninput = () => {
+      this.logSearch = search.value.trim().toLowerCase();
+      this.renderGameLog();
+    };
+    controls.appendChild(search);
+
+    for (const category of LOG_CATEGORIES) {
+      const label = document.createElement("label");
+      label.style.cursor = "pointer";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = this.logFilters[category];
+      checkbox.onchange = () => {
+        this.logFilters[category] = checkbox.checked;
+        this.renderGameLog();
+      };
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(LOG_CATEGORY_LABELS[category]));
+      controls.appendChild(label);
+    }
+
+    const exportButton = document.createElement("button");
+    exportButton.textContent = "Export";
+    exportButton.title = "Download the whole message log as text";
+    exportButton.style.cssText = `
+      margin-left: auto;
+      padding: 2px 8px;
+      background: #333;
+      color: white;
+      border: 1px solid #666;
+      border-radius: 3px;
+      cursor: pointer;
+      font-family: 'Courier New', monospace;
+      font-size: 11px;
+    `;
+    exportButton.onclick = () => this.exportGameLog();
+    controls.appendChild(exportButton);
+
+    logElement.parentElement.insertBefore(controls, logElement);
   }
 
   private connectToServer(): void {
     const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
-    const wsUrl = `${protocol}//${window.location.host}`;
+    let wsUrl = `${protocol}//${window.location.host}`;
+
+    if (this.spectateSessionId) {
+      // Spectators watch someone else's game and have no session of their own
+      wsUrl += `/watch/${encodeURIComponent(this.spectateSessionId)}`;
+    } else {
+      // Present the token from an earlier connection so the server hands us
+      // back the game that is still running instead of starting a new one,
+      // and our player id so it can offer the games we saved before
+      const params = new URLSearchParams();
+      const sessionToken = window.localStorage.getItem(SESSION_TOKEN_KEY);
+      if (sessionToken) {
+        params.set("session", sessionToken);
+      }
+      const playerId = window.localStorage.getItem(PLAYER_ID_KEY);
+      if (playerId) {
+        params.set("player", playerId);
+      }
+      if (params.toString()) {
+        wsUrl += `/?${params.toString()}`;
+      }
+    }
 
     console.log("Connecting to NetHack server at:", wsUrl);
 
@@ -237,10 +666,39 @@ class Nethack3DEngine {
       }
     };
 
-    this.ws.onclose = () => {
+    this.ws.onclose = (event) => {
       console.log("Disconnected from NetHack server");
       this.updateConnectionStatus("Disconnected", "#aa0000");
 
+      // A watched game that has ended or never existed will not come back
+      if (
+        this.spectateSessionId &&
+        (event.code === 1000 || event.code === 4004)
+      ) {
+        this.updateStatus(
+          event.code === 1000 ? "The game has ended" : "No such game to watch"
+        );
+        this.addGameMessage(event.reason || "Game not available");
+        return;
+      }
+
+      // Another tab took this game over; reconnecting would only take it
+      // back and leave the two tabs fighting over it
+      if (event.code === 4000) {
+        this.updateConnectionStatus("Resumed elsewhere", "#aa5500");
+        this.updateStatus("This game was resumed elsewhere");
+        this.addGameMessage(
+          "This game was resumed in another tab or window. Reload the page to play it here."
+        );
+        return;
+      }
+
+      // A finished game waits on the tombstone for the player to start anew
+      if (this.gameOver && event.code === 1000) {
+        this.updateStatus("The game has ended");
+        return;
+      }
+
       // Silently attempt to reconnect after 3 seconds
       setTimeout(() => {
         console.log("Attempting to reconnect...");
@@ -262,13 +720,59 @@ class Nethack3DEngine {
   }
 
   private handleServerMessage(data: any): void {
+    // Spectators see what the player is asked but cannot answer it
+    if (
+      this.spectateSessionId &&
+      SPECTATOR_PROMPT_TYPES.indexOf(data.type) !== -1
+    ) {
+      if (data.text || data.prompt) {
+        this.addGameMessage(`(asked) ${data.text || data.prompt}`);
+      }
+      return;
+    }
+
+    // Spectators can't dismiss a text window, so they read it in the log
+    if (this.spectateSessionId && data.type === "text_window") {
+      for (const line of data.lines) {
+        this.addGameMessage(line.text, line.attr, "other");
+      }
+      return;
+    }
+
     switch (data.type) {
+      case "spectate":
+        console.log(`👀 Watching session ${data.sessionId}`);
+        this.updateConnectionStatus("Spectating", "#0088aa");
+        this.updateStatus(
+          `Watching ${data.playerName || "a player"}'s game (read-only)`
+        );
+        break;
+
+      case "session":
+        // A full_state snapshot follows, so the scene is rebuilt from that
+        window.localStorage.setItem(SESSION_TOKEN_KEY, data.token);
+        window.localStorage.setItem(PLAYER_ID_KEY, data.playerId);
+        if (data.resumed) {
+          console.log(`🔌 Resumed session ${data.sessionId}`);
+          this.addGameMessage("Resumed your game in progress");
+        } else {
+          console.log(`🔌 Started new session ${data.sessionId}`);
+        }
+        break;
+
       case "map_glyph":
         // Check if this is a refresh vs new data
         if (data.isRefresh) {
           console.log(`🔄 Processing tile refresh for (${data.x}, ${data.y})`);
         }
-        this.updateTile(data.x, data.y, data.glyph, data.char, data.color);
+        this.updateTile(
+          data.x,
+          data.y,
+          data.glyph,
+          data.char,
+          data.color,
+          data.category
+        );
         break;
 
       case "player_position":
@@ -292,35 +796,21 @@ class Nethack3DEngine {
         // Update the player position first
         this.playerPos = { x: data.newPosition.x, y: data.newPosition.y };
 
-        // Clear the old player visual position by redrawing it as floor
-        const oldKey = `${data.oldPosition.x},${data.oldPosition.y}`;
-        const oldSprite = this.textSpriteMap.get(oldKey);
-        if (oldSprite) {
-          console.log(
-            `🎯 Clearing old player sprite at (${data.oldPosition.x}, ${data.oldPosition.y})`
-          );
-          // Remove the old sprite and redraw as floor
-          this.scene.remove(oldSprite);
-          this.textSpriteMap.delete(oldKey);
-
-          // Redraw the old position as floor (assuming it's walkable since player was there)
-          this.updateTile(data.oldPosition.x, data.oldPosition.y, 2396, ".", 0);
-        }
-
-        // Create a fake player glyph at the new position to ensure visual update
-        // Use a typical player glyph number (around 331-360 range)
-        this.updateTile(data.newPosition.x, data.newPosition.y, 331, "@", 0);
+        // Redraw both tiles from their last glyphs so the player's look
+        // moves with the position
+        this.redrawTile(data.oldPosition.x, data.oldPosition.y);
+        this.redrawTile(data.newPosition.x, data.newPosition.y);
         console.log(
           `🎯 Player visual updated to position (${data.newPosition.x}, ${data.newPosition.y})`
         );
         break;
 
       case "text":
-        this.addGameMessage(data.text);
+        this.addGameMessage(data.text, data.attr, this.categorizeMessage(data.text));
         break;
 
       case "raw_print":
-        this.addGameMessage(data.text);
+        this.addGameMessage(data.text, 0, this.categorizeMessage(data.text));
         break;
 
       // case "menu_item":
@@ -334,29 +824,7 @@ class Nethack3DEngine {
         break;
 
       case "question":
-        // Auto-handle character creation questions to avoid user interaction
-        if (
-          data.text &&
-          (data.text.includes("character") ||
-            data.text.includes("class") ||
-            data.text.includes("race") ||
-            data.text.includes("gender") ||
-            data.text.includes("alignment"))
-        ) {
-          console.log("Auto-handling character creation:", data.text);
-          // Send default character choices
-          if (data.menuItems && data.menuItems.length > 0) {
-            // Pick the first available option
-            this.sendInput(data.menuItems[0].accelerator);
-          } else if (data.default) {
-            this.sendInput(data.default);
-          } else {
-            this.sendInput("a"); // Default to 'a' (often Archeologist)
-          }
-          return; // Don't show the dialog
-        }
-
-        // For non-character creation questions, show normal dialog and pause movement
+        // Show question dialog and pause movement
         this.isInQuestion = true;
         this.showQuestion(
           data.text,
@@ -366,6 +834,46 @@ class Nethack3DEngine {
         );
         break;
 
+      case "text_window":
+        // Long-form output (help, discoveries, enlightenment, ...) the game
+        // waits on until it is dismissed
+        this.isInQuestion = true;
+        this.showTextWindow(data.lines);
+        break;
+
+      case "more":
+        // The game stops until the messages shown so far are acknowledged
+        this.isAwaitingMore = true;
+        this.updateStatus("--More--");
+        break;
+
+      case "extended_command":
+        this.showExtendedCommand(data);
+        break;
+
+      case "message_history":
+        // Previous messages asked for with ^P
+        this.showMessageHistory(data.messages);
+        break;
+
+      case "menu":
+        // A NetHack menu: how says whether it is read-only (PICK_NONE) or
+        // takes one (PICK_ONE) or any number (PICK_ANY) of its items
+        this.isInQuestion = true;
+        this.showQuestion(
+          data.prompt ||
+            (data.how === "PICK_ANY"
+              ? "Select any items:"
+              : data.how === "PICK_ONE"
+              ? "Select an item:"
+              : ""),
+          "",
+          "",
+          data.items,
+          data.how
+        );
+        break;
+
       case "inventory_update":
         // Handle inventory updates without showing dialog
         const itemCount = data.items ? data.items.length : 0;
@@ -408,9 +916,8 @@ class Nethack3DEngine {
         break;
 
       case "name_request":
-        // Auto-provide a default name to avoid user interaction
-        console.log("Auto-providing default name for:", data.text);
-        this.sendInput("Player");
+        console.log("👤 Name requested:", data.text);
+        this.showNameRequest(data.text, data.maxLength, data.error);
         break;
 
       case "area_refresh_complete":
@@ -441,754 +948,2996 @@ class Nethack3DEngine {
         this.updatePlayerStats(data.field, data.value, data);
         break;
 
+      case "full_state":
+        this.applyFullState(data);
+        break;
+
+      case "saved_games":
+        console.log(`💾 ${data.saves.length} saved game(s) available`);
+        this.showSavedGamesDialog(data.saves);
+        break;
+
+      case "options":
+        this.playerOptions = data.options;
+        this.optionDefinitions = data.definitions;
+        this.numberPad = data.numberPad;
+        this.showOptionsButton();
+        if (data.errors && data.errors.length > 0) {
+          this.showOptionsDialog(data.errors);
+        } else if (document.getElementById("options-dialog")) {
+          this.hideOptionsDialog();
+          this.addGameMessage("Options saved - they apply from your next game");
+        }
+        break;
+
+      case "character_selection":
+        console.log("🧙 NetHack asked for a new character");
+        this.showCharacterSelection(data);
+        break;
+
+      case "game_over":
+        this.showGameOver(data);
+        break;
+
+      case "game_saved":
+        // The game has ended on the server, so its token is no use any more;
+        // the next connection will offer the save instead
+        console.log(`💾 Game saved as ${data.save.file}`);
+        if (!this.spectateSessionId && !this.isReplaying) {
+          window.localStorage.removeItem(SESSION_TOKEN_KEY);
+        }
+        this.addGameMessage(`Game saved for ${data.save.name}`);
+        this.updateStatus("Game saved - reload to continue it");
+        break;
+
+      case "restore_failed":
+        // The server ends the game, and the next connection offers the save
+        // again along with why it did not load
+        console.log(`💾 Could not restore ${data.save}: ${data.error}`);
+        if (!this.spectateSessionId && !this.isReplaying) {
+          window.localStorage.removeItem(SESSION_TOKEN_KEY);
+        }
+        this.restoreError = data.error;
+        this.addGameMessage(`Could not restore the saved game: ${data.error}`);
+        this.updateStatus("Could not restore the saved game");
+        break;
+
       default:
         console.log("Unknown message type:", data.type, data);
     }
   }
 
   /**
-   * Request a view update for a specific tile from the server
-   * @param x The x coordinate of the tile
-   * @param y The y coordinate of the tile
+   * Rebuild the whole scene, stats, inventory and log from a server snapshot
+   * @param state The full_state message sent by the server
    */
-  public requestTileUpdate(x: number, y: number): void {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      console.log(`🔄 Requesting tile update for (${x}, ${y})`);
-      this.ws.send(
-        JSON.stringify({
-          type: "request_tile_update",
-          x: x,
-          y: y,
-        })
+  private applyFullState(state: any): void {
+    console.log(
+      `📥 Applying full state: ${state.tiles.length} tiles, ${state.statusFields.length} status fields`
+    );
+
+    this.clearScene();
+    this.playerPos = { x: state.playerPosition.x, y: state.playerPosition.y };
+    state.tiles.forEach((tile: any) => {
+      this.updateTile(
+        tile.x,
+        tile.y,
+        tile.glyph,
+        tile.char,
+        tile.color,
+        tile.category
       );
-    } else {
-      console.log("⚠️ Cannot request tile update - WebSocket not connected");
+    });
+
+    state.statusFields.forEach((status: any) => {
+      this.updatePlayerStats(status.field, status.value, status);
+    });
+
+    this.currentInventory = state.inventory || [];
+    this.updateInventoryDisplay(this.currentInventory);
+
+    // The server keeps every message of the game, so a fresh page rebuilds
+    // the whole log from them; a refresh keeps what is already logged here
+    if (this.logEntries.every((entry) => entry.category === "system")) {
+      this.logEntries = state.messages
+        .filter((message: any) => message.text && message.text.trim() !== "")
+        .map((message: any) => ({
+          text: message.text,
+          attr: message.attr || 0,
+          turn: message.turn || 0,
+          category: this.categorizeMessage(message.text),
+        }))
+        .concat(this.logEntries);
     }
-  }
+    this.renderGameLog();
 
-  /**
-   * Request a view update for an area around a center point
-   * @param centerX The x coordinate of the center
-   * @param centerY The y coordinate of the center
-   * @param radius The radius around the center point (default: 3)
-   */
-  public requestAreaUpdate(
-    centerX: number,
-    centerY: number,
-    radius: number = 3
-  ): void {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      console.log(
-        `🔄 Requesting area update centered at (${centerX}, ${centerY}) with radius ${radius}`
-      );
-      this.ws.send(
-        JSON.stringify({
-          type: "request_area_update",
-          centerX: centerX,
-          centerY: centerY,
-          radius: radius,
-        })
-      );
-    } else {
-      console.log("⚠️ Cannot request area update - WebSocket not connected");
+    if (state.prompt) {
+      this.handleServerMessage(state.prompt);
     }
   }
 
   /**
-   * Request a view update for the area around the player
-   * @param radius The radius around the player (default: 5)
+   * Show the server's leaderboard, best scores first
+   * @param filters role and race (as the xlogfile abbreviates them), and
+   * from/to dates as YYYY-MM-DD; empty ones are left out
    */
-  public requestPlayerAreaUpdate(radius: number = 5): void {
-    this.requestAreaUpdate(this.playerPos.x, this.playerPos.y, radius);
-  }
-
-  private createTextSprite(
-    text: string,
-    size: number = 128,
-    textColor: string = "yellow"
-  ): THREE.Sprite {
-    // Create a canvas to draw text on
-    const canvas = document.createElement("canvas");
-    const context = canvas.getContext("2d")!;
-
-    // Set canvas size (larger for better readability)
-    canvas.width = size;
-    canvas.height = size;
-
-    // Configure text rendering
-    context.fillStyle = textColor;
-    context.font = "bold 24px monospace"; // Larger, monospace font
-    context.textAlign = "center";
-    context.textBaseline = "middle";
-
-    // Clear canvas with transparent background
-    context.clearRect(0, 0, canvas.width, canvas.height);
-
-    // Add semi-transparent background for better visibility
-    context.fillStyle = "rgba(0, 0, 0, 0.7)";
-    context.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Draw the text
-    context.fillStyle = textColor;
-    context.fillText(text, canvas.width / 2, canvas.height / 2);
+  public async showLeaderboard(
+    filters: { [key: string]: string } = {}
+  ): Promise<void> {
+    const params = new URLSearchParams();
+    for (const key of Object.keys(filters)) {
+      if (filters[key]) {
+        params.set(key, filters[key]);
+      }
+    }
 
-    // Create texture from canvas
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.needsUpdate = true;
+    let leaderboard: any;
+    try {
+      const response = await fetch(`/api/leaderboard?${params.toString()}`);
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      leaderboard = await response.json();
+    } catch (error) {
+      console.error("Error loading leaderboard:", error);
+      this.addGameMessage("Could not load the leaderboard");
+      return;
+    }
 
-    // Create sprite material
-    const spriteMaterial = new THREE.SpriteMaterial({
-      map: texture,
-      transparent: true,
-    });
+    let dialog = document.getElementById("leaderboard-dialog");
+    if (!dialog) {
+      dialog = document.createElement("div");
+      dialog.id = "leaderboard-dialog";
+      dialog.style.cssText = `
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        background: rgba(0, 0, 0, 0.95);
+        color: white;
+        padding: 20px;
+        border: 2px solid #00ff00;
+        border-radius: 10px;
+        z-index: 2100;
+        font-family: 'Courier New', monospace;
+        min-width: 500px;
+        max-width: 90vw;
+        max-height: 80vh;
+        overflow-y: auto;
+      `;
+      document.body.appendChild(dialog);
+    }
+    while (dialog.firstChild) {
+      dialog.removeChild(dialog.firstChild);
+    }
 
-    // Create and return sprite
-    const sprite = new THREE.Sprite(spriteMaterial);
-    sprite.scale.set(1.0, 1.0, 1); // Make it larger and more readable
+    const titleText = document.createElement("div");
+    titleText.style.cssText = `
+      font-size: 16px;
+      margin-bottom: 10px;
+      text-align: center;
+    `;
+    titleText.textContent = `Leaderboard (${leaderboard.total} games)`;
+    dialog.appendChild(titleText);
+
+    // Filters re-fetch the board as soon as they change
+    const filterRow = document.createElement("div");
+    filterRow.style.cssText = `
+      display: flex;
+      flex-wrap: wrap;
+      gap: 10px;
+      margin-bottom: 12px;
+      font-size: 12px;
+      color: #aaa;
+    `;
+    const current = { ...filters };
+    const refresh = () => this.showLeaderboard(current);
+    const addSelect = (key: string, label: string, values: string[]) => {
+      const labelElement = document.createElement("label");
+      labelElement.textContent = `${label} `;
+      const select = document.createElement("select");
+      for (const value of ["", ...values]) {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = value || "All";
+        select.appendChild(option);
+      }
+      select.value = current[key] || "";
+      select.onchange = () => {
+        current[key] = select.value;
+        refresh();
+      };
+      labelElement.appendChild(select);
+      filterRow.appendChild(labelElement);
+    };
+    const addDate = (key: string, label: string) => {
+      const labelElement = document.createElement("label");
+      labelElement.textContent = `${label} `;
+      const input = document.createElement("input");
+      input.type = "date";
+      input.value = current[key] || "";
+      input.onchange = () => {
+        current[key] = input.value;
+        refresh();
+      };
+      labelElement.appendChild(input);
+      filterRow.appendChild(labelElement);
+    };
+    addSelect("role", "Role", leaderboard.roles);
+    addSelect("race", "Race", leaderboard.races);
+    addDate("from", "From");
+    addDate("to", "To");
+    dialog.appendChild(filterRow);
+
+    const table = document.createElement("table");
+    table.style.cssText = `
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 12px;
+    `;
+    const addRow = (cells: string[], isHeader: boolean) => {
+      const row = document.createElement("tr");
+      for (const cell of cells) {
+        const cellElement = document.createElement(isHeader ? "th" : "td");
+        cellElement.style.cssText = `
+          padding: 3px 6px;
+          text-align: left;
+          border-bottom: 1px solid #333;
+          color: ${isHeader ? "#00ff00" : "white"};
+        `;
+        cellElement.textContent = cell;
+        row.appendChild(cellElement);
+      }
+      table.appendChild(row);
+    };
+    addRow(
+      ["#", "Name", "Character", "Points", "Turns", "Level", "Death", "Date"],
+      true
+    );
+    leaderboard.entries.forEach((entry: any, index: number) => {
+      addRow(
+        [
+          String(index + 1),
+          entry.name,
+          `${entry.role} ${entry.race} ${entry.gender} ${entry.align}`,
+          String(entry.points),
+          String(entry.turns),
+          `${entry.deathlev}/${entry.maxlvl}`,
+          entry.death,
+          entry.date,
+        ],
+        false
+      );
+    });
+    dialog.appendChild(table);
+    if (leaderboard.entries.length === 0) {
+      const emptyText = document.createElement("div");
+      emptyText.style.cssText = "margin-top: 10px; color: #aaa; text-align: center;";
+      emptyText.textContent = "No games match these filters yet.";
+      dialog.appendChild(emptyText);
+    }
 
-    return sprite;
+    const closeButton = document.createElement("button");
+    closeButton.style.cssText = `
+      display: block;
+      margin: 15px auto 0;
+      padding: 8px 16px;
+      background: #333;
+      color: white;
+      border: 1px solid #666;
+      border-radius: 3px;
+      cursor: pointer;
+      font-family: 'Courier New', monospace;
+    `;
+    closeButton.textContent = "Close";
+    closeButton.onclick = () => {
+      const leaderboardDialog = document.getElementById("leaderboard-dialog");
+      if (leaderboardDialog) {
+        leaderboardDialog.remove();
+      }
+    };
+    dialog.appendChild(closeButton);
   }
 
-  private glyphToChar(glyph: number): string {
-    // Convert NetHack glyph numbers to ASCII characters
-    // This is a fallback for when the server doesn't provide the proper character
-    // Based on NetHack's glyph system
+  /**
+   * Fetch a recording from the server and start playing it back
+   * @param file Recording file name as listed by /api/recordings
+   */
+  public async loadReplay(file: string): Promise<void> {
+    this.updateStatus(`Loading recording ${file}...`);
+    try {
+      const response = await fetch(
+        `/api/recordings/${encodeURIComponent(file)}`
+      );
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      this.startReplay(await response.text());
+    } catch (error) {
+      console.error("Error loading recording:", error);
+      this.updateStatus(`Could not load recording ${file}`);
+    }
+  }
 
-    // Floor glyphs (2395-2397)
-    if (glyph >= 2395 && glyph <= 2397) return ".";
+  /**
+   * Read a recording picked from disk and start playing it back
+   * @param file A recordings/*.jsonl file
+   */
+  public async loadReplayFile(file: File): Promise<void> {
+    try {
+      this.startReplay(await file.text());
+    } catch (error) {
+      console.error("Error opening recording:", error);
+      this.updateStatus(`Could not open recording ${file.name}`);
+    }
+  }
 
-    // Wall glyphs (2378-2394)
-    if (glyph >= 2378 && glyph <= 2394) {
-      switch (glyph) {
-        case 2378:
-          return "|"; // vertical wall
-        case 2379:
-          return "-"; // horizontal wall
-        case 2380:
-          return "-"; // top-left corner
-        case 2381:
-          return "-"; // top-right corner
-        case 2382:
-          return "-"; // bottom-left corner
-        case 2383:
-          return "-"; // bottom-right corner
-        case 2389:
-          return "+"; // door
-        case 2390:
-          return "+"; // open door
-        default:
-          return "#"; // generic wall
+  /**
+   * Play back a recording in the server's JSON lines format. Recorded server
+   * messages go through handleServerMessage exactly as they did live.
+   * @param recordingText Contents of a recordings/*.jsonl file
+   */
+  public startReplay(recordingText: string): void {
+    const entries: any[] = [];
+    for (const line of recordingText.split("\n")) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // The last line of a game that is still running may be half written
       }
     }
+    const header = entries[0];
+    if (!header || header.type !== "recording_start") {
+      this.updateStatus("Not a NetHack 3D recording");
+      return;
+    }
 
-    // Player character (broad range to cover all classes/races/genders)
-    // NetHack player glyphs are typically in the range 331-360+
-    if (glyph >= 331 && glyph <= 360) return "@";
+    // A live connection would keep feeding messages into the same scene
+    if (this.ws) {
+      this.ws.onclose = null;
+      this.ws.close();
+      this.ws = null;
+    }
+    const loading = document.getElementById("loading");
+    if (loading) {
+      loading.style.display = "none";
+    }
 
-    // Monster glyphs (approximate ranges)
-    if (glyph >= 400 && glyph <= 500) {
-      // Common monsters
-      if (glyph >= 400 && glyph <= 410) return "d"; // dogs
-      if (glyph >= 411 && glyph <= 420) return "k"; // kobolds
-      if (glyph >= 421 && glyph <= 430) return "o"; // orcs
-      return "M"; // generic monster
+    this.isReplaying = true;
+    this.replayEvents = entries.slice(1);
+    this.buildReplayTurnIndex();
+    console.log(
+      `🎬 Replaying session ${header.sessionId}: ${this.replayEvents.length} events, ${this.replayTurns.length} turns`
+    );
+    this.updateConnectionStatus("Replay", "#aa00aa");
+    this.updateStatus(
+      `Replay of game started ${new Date(header.startedAt).toLocaleString()}`
+    );
+
+    this.resetReplayState();
+    this.showReplayPanel();
+    this.playReplay();
+  }
+
+  // Note where each new value of the time status field first appears
+  private buildReplayTurnIndex(): void {
+    this.replayTurns = [];
+    this.replayEvents.forEach((event, index) => {
+      const message = event.msg;
+      if (
+        event.dir !== "out" ||
+        !message ||
+        message.type !== "status_update" ||
+        STATUS_FIELD_NAMES[message.field] !== "time"
+      ) {
+        return;
+      }
+      const turn = parseInt(String(message.value).trim(), 10);
+      const lastTurn = this.replayTurns[this.replayTurns.length - 1];
+      if (!isNaN(turn) && (!lastTurn || turn > lastTurn.turn)) {
+        this.replayTurns.push({ turn: turn, index: index });
+      }
+    });
+  }
+
+  private getReplayTurn(): number {
+    let turn = 0;
+    for (const entry of this.replayTurns) {
+      if (entry.index >= this.replayIndex) {
+        break;
+      }
+      turn = entry.turn;
     }
+    return turn;
+  }
 
-    // Item glyphs
-    if (glyph >= 1900 && glyph <= 2400) {
-      if (glyph >= 1920 && glyph <= 1930) return ")"; // weapons
-      if (glyph >= 2000 && glyph <= 2100) return "["; // armor
-      if (glyph >= 2180 && glyph <= 2220) return "%"; // food
-      if (glyph >= 2220 && glyph <= 2260) return "("; // tools
-      return "*"; // generic item
+  private applyReplayEvent(event: any): void {
+    if (event.dir === "out") {
+      this.handleServerMessage(event.msg);
+    } else {
+      // The player answered whatever the game was asking at this point
+      this.dismissReplayPrompts();
     }
+  }
 
-    // Special terrain
-    if (glyph === 237) return "<"; // stairs up
-    if (glyph === 238) return ">"; // stairs down
-    if (glyph === 2334) return "#"; // solid rock
-    if (glyph === 2223) return "\\"; // throne
+  private dismissReplayPrompts(): void {
+    this.hideQuestion();
+    this.hideTextWindow();
+    this.hideDirectionQuestion();
+    this.hideMorePrompt();
+    this.hideExtendedCommand();
+    const nameDialog = document.getElementById("name-dialog");
+    if (nameDialog) {
+      nameDialog.style.display = "none";
+    }
+  }
 
-    // Fallback: For unknown glyphs, show a generic character instead of the number
-    return "?";
+  // Back to an empty scene, as at the start of the recording
+  private resetReplayState(): void {
+    this.clearScene();
+    this.playerPos = { x: 0, y: 0 };
+    this.logEntries = [];
+    this.renderGameLog();
+    this.currentInventory = [];
+    this.updateInventoryDisplay(this.currentInventory);
+    this.dismissReplayPrompts();
+    this.hideGameOver();
+    this.replayIndex = 0;
   }
 
-  private clearScene(): void {
-    console.log("🧹 Clearing all tiles and sprites from 3D scene");
+  public playReplay(): void {
+    if (!this.isReplaying || this.isReplayPlaying) {
+      return;
+    }
+    if (this.replayIndex >= this.replayEvents.length) {
+      this.resetReplayState(); // Play again from the start
+    }
+    this.isReplayPlaying = true;
+    this.scheduleReplayEvent();
+    this.updateReplayPanel();
+  }
 
-    // Clear all tile meshes
-    this.tileMap.forEach((mesh, key) => {
-      this.scene.remove(mesh);
-    });
-    this.tileMap.clear();
+  public pauseReplay(): void {
+    this.isReplayPlaying = false;
+    if (this.replayTimer !== null) {
+      clearTimeout(this.replayTimer);
+      this.replayTimer = null;
+    }
+    this.updateReplayPanel();
+  }
 
-    // Clear all text sprites
-    this.textSpriteMap.forEach((sprite, key) => {
-      this.scene.remove(sprite);
-    });
-    this.textSpriteMap.clear();
+  private scheduleReplayEvent(): void {
+    if (!this.isReplayPlaying) {
+      return;
+    }
+    if (this.replayIndex >= this.replayEvents.length) {
+      console.log("🎬 Replay finished");
+      this.pauseReplay();
+      return;
+    }
 
-    console.log("🧹 Scene cleared - ready for new level");
+    // Long idle stretches are shortened so replays keep moving
+    const previous = this.replayEvents[this.replayIndex - 1];
+    const next = this.replayEvents[this.replayIndex];
+    const delay = previous
+      ? Math.min(next.t - previous.t, REPLAY_MAX_DELAY_MS) / this.replaySpeed
+      : 0;
+
+    this.replayTimer = window.setTimeout(() => {
+      this.replayTimer = null;
+      this.applyReplayEvent(next);
+      this.replayIndex++;
+      this.updateReplayPanel();
+      this.scheduleReplayEvent();
+    }, delay);
   }
 
-  private updateTile(
-    x: number,
-    y: number,
-    glyph: number,
-    char?: string,
-    color?: number
-  ): void {
-    // Debug logging to see what character data we're receiving
-    console.log(
-      `🎨 updateTile(${x},${y}) glyph=${glyph} char="${char}" color=${color}`
-    );
+  /**
+   * Apply everything up to and including the player's next input, which is
+   * one action in the recorded game
+   */
+  public stepReplay(): void {
+    this.pauseReplay();
+    while (this.replayIndex < this.replayEvents.length) {
+      const event = this.replayEvents[this.replayIndex++];
+      this.applyReplayEvent(event);
+      if (event.dir === "in") {
+        break;
+      }
+    }
+    this.updateReplayPanel();
+  }
 
-    const key = `${x},${y}`;
-    let mesh = this.tileMap.get(key);
-    let textSprite = this.textSpriteMap.get(key);
-
-    // Check if this is the player glyph and update player position
-    // Use glyph range as the primary indicator (more reliable than character)
-    // Only consider "@" characters that are within the player glyph range
-    const isPlayerGlyph =
-      glyph >= 331 && glyph <= 360 && (char === "@" || !char);
-    if (isPlayerGlyph) {
-      console.log(
-        `🎯 Player detected at position (${x}, ${y}) with glyph ${glyph}, char: "${char}"`
-      );
-      this.playerPos = { x, y };
-      this.updateStatus(`Player at (${x}, ${y}) - NetHack 3D`);
+  /**
+   * Jump to the first moment the game reached the given turn
+   * @param turn Value of the time status field to seek to
+   */
+  public seekReplayToTurn(turn: number): void {
+    const target = this.replayTurns.find((entry) => entry.turn >= turn);
+    const targetIndex = target ? target.index : this.replayEvents.length;
+    const wasPlaying = this.isReplayPlaying;
+    this.pauseReplay();
+
+    // The scene can only be built forwards, so rewinding starts over
+    if (targetIndex < this.replayIndex) {
+      this.resetReplayState();
     }
+    while (this.replayIndex < targetIndex) {
+      this.applyReplayEvent(this.replayEvents[this.replayIndex++]);
+    }
+    console.log(`🎬 Seeked to turn ${turn} (event ${this.replayIndex})`);
 
-    // Determine tile type based on character first, then fall back to glyph ID ranges
-    let material = this.materials.default;
-    let geometry = this.floorGeometry;
-    let isWall = false;
+    if (wasPlaying) {
+      this.playReplay();
+    } else {
+      this.updateReplayPanel();
+    }
+  }
 
-    // Prioritize the character provided by NetHack over glyph number
-    // BUT check for special cases first (like doors) where glyph number is more reliable
-    if (char) {
-      console.log(`🔤 Using character-based detection: "${char}"`);
+  public setReplaySpeed(speed: number): void {
+    this.replaySpeed = speed;
+    this.updateReplayPanel();
+  }
 
-      // Special case: Check for door glyphs, but respect the character
-      if (glyph === 2389 || glyph === 2390) {
-        // Door glyphs - but the character tells us the actual state
-        if (char === ".") {
-          // Open doorway - character "." means it's passable floor
-          console.log(`  -> Open doorway (glyph ${glyph}, char ".")`);
-          material = this.materials.floor;
-          geometry = this.floorGeometry;
-          isWall = false;
-        } else if (char === "+") {
-          // Closed door - character "+" means it's blocking
-          console.log(`  -> Closed door (glyph ${glyph}, char "+")`);
-          material = this.materials.door;
-          geometry = this.wallGeometry;
-          isWall = true;
+  private handleReplayKey(event: KeyboardEvent): void {
+    const speedIndex = REPLAY_SPEEDS.indexOf(this.replaySpeed);
+    switch (event.key) {
+      case " ":
+        event.preventDefault();
+        if (this.isReplayPlaying) {
+          this.pauseReplay();
         } else {
-          // Other door states - default to open
-          console.log(
-            `  -> Door with character "${char}" - defaulting to open`
-          );
-          material = this.materials.floor;
-          geometry = this.floorGeometry;
-          isWall = false;
+          this.playReplay();
         }
-      } else if (char === ".") {
-        // Floor/corridor
-        console.log(`  -> Floor/corridor`);
-        material = this.materials.floor;
-        geometry = this.floorGeometry;
-        isWall = false;
-      } else if (char === " ") {
-        // Blank space - in NetHack this typically represents dark/unseen areas (walls)
-        console.log(`  -> Dark area/unseen wall`);
-        material = this.materials.wall;
-        geometry = this.wallGeometry;
-        isWall = true;
-      } else if (char === "#") {
-        // In NetHack, # represents dark/unexplored areas (flat floor, not walls)
-        console.log(`  -> Dark area (flat)`);
-        material = this.materials.dark; // Dark blue for unseen areas
-        geometry = this.floorGeometry; // Should be flat, not wall blocks
-        isWall = false;
-      } else if (char === "|" || char === "-") {
-        // Explicit wall characters (but not doors, which were checked above)
-        console.log(`  -> Wall`);
-        material = this.materials.wall;
-        geometry = this.wallGeometry;
-        isWall = true;
-      } else if (isPlayerGlyph) {
-        // Player character (based on glyph range + "@" char)
-        console.log(`  -> Player`);
-        material = this.materials.player;
-        geometry = this.floorGeometry;
-        isWall = false;
-      } else if (char === "@") {
-        // Non-player "@" character (shopkeeper, NPC, etc.)
-        console.log(`  -> NPC/Shopkeeper`);
-        material = this.materials.monster; // Treat as monster/NPC
-        geometry = this.floorGeometry;
-        isWall = false;
-      } else if (char === "{") {
-        // Water fountain
-        console.log(`  -> Water fountain`);
-        material = this.materials.fountain;
-        geometry = this.floorGeometry;
-        isWall = false;
-      } else if (char.match(/[a-zA-Z]/)) {
-        // Letters are usually monsters
-        console.log(`  -> Monster`);
-        material = this.materials.monster;
-        geometry = this.floorGeometry;
-        isWall = false;
-      } else if (char.match(/[)(\[%*$?!=/\\<>]/)) {
-        // Items and special characters
-        console.log(`  -> Item`);
-        material = this.materials.item;
-        geometry = this.floorGeometry;
-        isWall = false;
-      } else {
-        // Default to floor for unknown characters
-        console.log(`  -> Default to floor`);
-        material = this.materials.floor;
-        geometry = this.floorGeometry;
-        isWall = false;
-      }
-    } else {
-      console.log(`🔢 Using glyph-based detection: ${glyph}`);
-      // Fall back to glyph ID ranges when no character is provided
-      if (glyph >= 2378 && glyph <= 2394) {
-        // Wall glyphs
-        material = this.materials.wall;
-        geometry = this.wallGeometry;
-        isWall = true;
-      } else if (glyph >= 2395 && glyph <= 2397) {
-        // Floor glyphs
-        material = this.materials.floor;
-        geometry = this.floorGeometry;
-      } else if (isPlayerGlyph) {
-        // Player glyphs (using broader range)
-        material = this.materials.player;
-        geometry = this.floorGeometry;
-      } else if (glyph >= 400 && glyph <= 500) {
-        // Monster glyphs (approximate range)
-        material = this.materials.monster;
-        geometry = this.floorGeometry;
-      } else if (glyph >= 1900 && glyph <= 2400) {
-        // Item glyphs (approximate range)
-        material = this.materials.item;
-        geometry = this.floorGeometry;
-      } else {
-        // Default floor for unknown glyphs
-        material = this.materials.floor;
-        geometry = this.floorGeometry;
-      }
+        break;
+      case ".":
+      case "ArrowRight":
+        event.preventDefault();
+        this.stepReplay();
+        break;
+      case "+":
+      case "=":
+        if (speedIndex < REPLAY_SPEEDS.length - 1) {
+          this.setReplaySpeed(REPLAY_SPEEDS[speedIndex + 1]);
+        }
+        break;
+      case "-":
+        if (speedIndex > 0) {
+          this.setReplaySpeed(REPLAY_SPEEDS[speedIndex - 1]);
+        }
+        break;
     }
+  }
 
-    if (!mesh) {
-      // Create a new mesh
-      mesh = new THREE.Mesh(geometry, material);
-      mesh.position.set(
-        x * TILE_SIZE,
-        -y * TILE_SIZE,
-        isWall ? WALL_HEIGHT / 2 : 0
-      );
-      mesh.castShadow = true;
-      mesh.receiveShadow = true;
-      this.scene.add(mesh);
-      this.tileMap.set(key, mesh);
-    } else {
-      // Update existing mesh
-      mesh.material = material;
-      mesh.geometry = geometry;
-      mesh.position.z = isWall ? WALL_HEIGHT / 2 : 0;
+  private showReplayPanel(): void {
+    let replayPanel = document.getElementById("replay-panel");
+    if (!replayPanel) {
+      replayPanel = document.createElement("div");
+      replayPanel.id = "replay-panel";
+      replayPanel.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        left: 50%;
+        transform: translateX(-50%);
+        background: rgba(0, 0, 0, 0.85);
+        color: white;
+        padding: 10px 15px;
+        border: 2px solid #aa00aa;
+        border-radius: 10px;
+        z-index: 1500;
+        font-family: 'Courier New', monospace;
+        font-size: 12px;
+        display: flex;
+        align-items: center;
+        gap: 10px;
+      `;
+      document.body.appendChild(replayPanel);
     }
+    replayPanel.innerHTML = "";
 
-    // Create or update text sprite showing glyph character
-    // Use the character provided by NetHack's mapglyph function if available
-    const glyphChar = char || this.glyphToChar(glyph);
-
-    // Determine text color based on glyph type (more comprehensive and robust)
-    let textColor = "yellow"; // Default color
+    const buttonStyle = `
+      padding: 4px 10px;
+      background: #333;
+      color: white;
+      border: 1px solid #666;
+      border-radius: 3px;
+      cursor: pointer;
+      font-family: 'Courier New', monospace;
+    `;
 
-    // NetHack glyph categories (based on NetHack source code glyph ranges)
-    if (glyph >= 2378 && glyph <= 2399) {
-      // Structural glyphs: walls, floors, corridors, doors
-      // This includes: walls (2378-2394), floors (2395-2397), corridors (2398-2399)
-      textColor = "white";
-    } else if (glyph === 2408) {
-      // Water fountain (specific glyph) - override structural color
-      textColor = "lightblue";
-    } else if (glyph >= 331 && glyph <= 360) {
-      // Player glyphs
-      textColor = "lime"; // Bright green for player
-    } else if (glyph >= 400 && glyph <= 600) {
-      // Monster glyphs (expanded range for better coverage)
-      textColor = "red";
-    } else if (glyph >= 1900 && glyph < 2378) {
-      // Item glyphs (excluding structural elements)
-      textColor = "cyan";
-    } else if (glyph >= 2400 && glyph <= 2500) {
-      // Special terrain and features
-      textColor = "magenta";
-    } else if (glyph >= 1 && glyph <= 330) {
-      // Miscellaneous objects and terrain
-      textColor = "white";
+    const restartButton = document.createElement("button");
+    restartButton.style.cssText = buttonStyle;
+    restartButton.textContent = "⏮";
+    restartButton.title = "Back to the start";
+    restartButton.onclick = () => {
+      this.pauseReplay();
+      this.resetReplayState();
+      this.updateReplayPanel();
+    };
+    replayPanel.appendChild(restartButton);
+
+    const playButton = document.createElement("button");
+    playButton.id = "replay-play";
+    playButton.style.cssText = buttonStyle;
+    playButton.title = "Play/pause (Space)";
+    playButton.onclick = () => {
+      if (this.isReplayPlaying) {
+        this.pauseReplay();
+      } else {
+        this.playReplay();
+      }
+    };
+    replayPanel.appendChild(playButton);
+
+    const stepButton = document.createElement("button");
+    stepButton.style.cssText = buttonStyle;
+    stepButton.textContent = "⏭";
+    stepButton.title = "Step to the next action (. or →)";
+    stepButton.onclick = () => this.stepReplay();
+    replayPanel.appendChild(stepButton);
+
+    const speedSelect = document.createElement("select");
+    speedSelect.id = "replay-speed";
+    speedSelect.style.cssText = buttonStyle;
+    speedSelect.title = "Playback speed (+/-)";
+    for (const speed of REPLAY_SPEEDS) {
+      const option = document.createElement("option");
+      option.value = String(speed);
+      option.textContent = `${speed}x`;
+      speedSelect.appendChild(option);
     }
+    speedSelect.onchange = () =>
+      this.setReplaySpeed(parseFloat(speedSelect.value));
+    replayPanel.appendChild(speedSelect);
+
+    // Seek bar over the turns the recording covers
+    const turnSlider = document.createElement("input");
+    turnSlider.id = "replay-turn";
+    turnSlider.type = "range";
+    turnSlider.style.cssText = `width: 250px;`;
+    const firstTurn = this.replayTurns.length ? this.replayTurns[0].turn : 0;
+    const lastTurn = this.replayTurns.length
+      ? this.replayTurns[this.replayTurns.length - 1].turn
+      : 0;
+    turnSlider.min = String(firstTurn);
+    turnSlider.max = String(lastTurn);
+    turnSlider.disabled = this.replayTurns.length === 0;
+    turnSlider.onchange = () => {
+      turnSlider.blur(); // Let playback move the slider again
+      this.seekReplayToTurn(parseInt(turnSlider.value, 10));
+    };
+    replayPanel.appendChild(turnSlider);
 
-    if (!textSprite) {
-      textSprite = this.createTextSprite(glyphChar, 128, textColor);
-      this.scene.add(textSprite);
-      this.textSpriteMap.set(key, textSprite);
-    } else {
-      // Update existing sprite with new glyph character
-      const newSprite = this.createTextSprite(glyphChar, 128, textColor);
-      this.scene.remove(textSprite);
-      textSprite = newSprite;
-      this.scene.add(textSprite);
-      this.textSpriteMap.set(key, textSprite);
-    }
+    const turnLabel = document.createElement("span");
+    turnLabel.id = "replay-turn-label";
+    replayPanel.appendChild(turnLabel);
 
-    // Position the text sprite above the tile
-    textSprite.position.set(
-      x * TILE_SIZE,
-      -y * TILE_SIZE,
-      isWall ? WALL_HEIGHT + 0.3 : 0.3
-    );
+    replayPanel.style.display = "flex";
+    this.updateReplayPanel();
   }
 
-  private addGameMessage(message: string): void {
-    if (!message || message.trim() === "") return;
+  private updateReplayPanel(): void {
+    const playButton = document.getElementById("replay-play");
+    if (playButton) {
+      playButton.textContent = this.isReplayPlaying ? "⏸" : "▶";
+    }
+    const speedSelect = document.getElementById(
+      "replay-speed"
+    ) as HTMLSelectElement | null;
+    if (speedSelect) {
+      speedSelect.value = String(this.replaySpeed);
+    }
 
-    this.gameMessages.unshift(message);
-    if (this.gameMessages.length > 100) {
-      this.gameMessages.pop();
+    const turn = this.getReplayTurn();
+    const turnSlider = document.getElementById(
+      "replay-turn"
+    ) as HTMLInputElement | null;
+    if (turnSlider && document.activeElement !== turnSlider) {
+      turnSlider.value = String(turn);
     }
+    const turnLabel = document.getElementById("replay-turn-label");
+    if (turnLabel) {
+      const lastTurn = this.replayTurns.length
+        ? this.replayTurns[this.replayTurns.length - 1].turn
+        : 0;
+      turnLabel.textContent = `T:${turn}/${lastTurn} (${this.replayIndex}/${this.replayEvents.length})`;
+    }
+  }
 
-    const logElement = document.getElementById("game-log");
-    if (logElement) {
-      logElement.innerHTML = this.gameMessages.join("<br>");
-      logElement.scrollTop = 0; // Keep newest messages at top
+  /**
+   * Ask the server for a complete snapshot of the current game
+   */
+  public requestFullState(): void {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      console.log("🔄 Requesting full game state");
+      this.ws.send(JSON.stringify({ type: "request_full_state" }));
+    } else {
+      console.log("⚠️ Cannot request full state - WebSocket not connected");
     }
   }
 
-  private updateStatus(status: string): void {
-    const statusElement = document.getElementById("game-status");
-    if (statusElement) {
-      statusElement.innerHTML = status;
+  /**
+   * Ask the server for the game's previous messages to show in the ^P viewer
+   */
+  public requestMessageHistory(): void {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: "request_message_history" }));
+    } else {
+      console.log("⚠️ Cannot request message history - WebSocket not connected");
     }
   }
 
-  private updateConnectionStatus(status: string, color: string): void {
-    const connElement = document.getElementById("connection-status");
-    if (connElement) {
-      connElement.innerHTML = status;
-      connElement.style.backgroundColor = color;
+  /**
+   * Request a view update for a specific tile from the server
+   * @param x The x coordinate of the tile
+   * @param y The y coordinate of the tile
+   */
+  public requestTileUpdate(x: number, y: number): void {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      console.log(`🔄 Requesting tile update for (${x}, ${y})`);
+      this.ws.send(
+        JSON.stringify({
+          type: "request_tile_update",
+          x: x,
+          y: y,
+        })
+      );
+    } else {
+      console.log("⚠️ Cannot request tile update - WebSocket not connected");
     }
   }
 
-  private updatePlayerStats(
-    field: number,
-    value: string | null,
-    data: any
+  /**
+   * Request a view update for an area around a center point
+   * @param centerX The x coordinate of the center
+   * @param centerY The y coordinate of the center
+   * @param radius The radius around the center point (default: 3)
+   */
+  public requestAreaUpdate(
+    centerX: number,
+    centerY: number,
+    radius: number = 3
   ): void {
-    // NetHack status field mapping (based on NetHack source code)
-    // Reference: https://github.com/NetHack/NetHack/blob/NetHack-3.6/include/botl.h
-    const statusFields: { [key: number]: string } = {
-      0: "name",
-      1: "strength",
-      2: "dexterity",
-      3: "constitution",
-      4: "intelligence",
-      5: "wisdom",
-      6: "charisma",
-      7: "alignment",
-      8: "score",
-      9: "hp",
-      10: "maxhp",
-      11: "power",
-      12: "maxpower",
-      13: "armor",
-      14: "level",
-      15: "experience",
-      16: "time",
-      17: "hunger",
-      18: "encumbrance",
-      19: "dungeon",
-      20: "dlevel",
-      21: "gold",
-    };
-
-    const fieldName = statusFields[field];
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      console.log(
+        `🔄 Requesting area update centered at (${centerX}, ${centerY}) with radius ${radius}`
+      );
+      this.ws.send(
+        JSON.stringify({
+          type: "request_area_update",
+          centerX: centerX,
+          centerY: centerY,
+          radius: radius,
+        })
+      );
+    } else {
+      console.log("⚠️ Cannot request area update - WebSocket not connected");
+    }
+  }
 
-    if (fieldName && value !== null && !value.startsWith("ptr:")) {
-      console.log(`📊 Updating ${fieldName}: "${value}"`);
+  /**
+   * Request a view update for the area around the player
+   * @param radius The radius around the player (default: 5)
+   */
+  public requestPlayerAreaUpdate(radius: number = 5): void {
+    this.requestAreaUpdate(this.playerPos.x, this.playerPos.y, radius);
+  }
 
-      // Parse values intelligently based on field type and content
-      let parsedValue: any = value;
+  /**
+   * Draw every printable character in every NetHack colour once, with the
+   * font, outline and backdrop from the display settings, so all glyph
+   * instances can share one texture
+   */
+  private createGlyphAtlas(): THREE.CanvasTexture {
+    const settings = this.glyphSettings;
+    const canvas = document.createElement("canvas");
+    canvas.width = GLYPH_ATLAS_COLUMNS * GLYPH_CELL_SIZE;
+    canvas.height = GLYPH_ATLAS_ROWS * GLYPH_CELL_SIZE;
+    const context = canvas.getContext("2d")!;
 
-      // Handle numeric fields
-      if (
-        fieldName.match(
-          /^(hp|maxhp|power|maxpower|level|experience|time|armor|score|gold|dlevel)$/
-        )
-      ) {
-        // For pure numbers, try to parse directly
-        if (typeof value === "string") {
-          // Remove any leading/trailing whitespace
-          const cleanValue = value.trim();
+    // Semi-transparent backdrop for better visibility
+    context.fillStyle = `rgba(0, 0, 0, ${settings.backdropOpacity})`;
+    context.fillRect(0, 0, canvas.width, canvas.height);
 
-          // Try to extract a number from the string
-          const match = cleanValue.match(/^(\d+)/);
-          if (match) {
-            parsedValue = parseInt(match[1], 10);
-          } else {
-            console.log(
-              `⚠️ Could not parse numeric value for ${fieldName}: "${value}"`
-            );
-            return; // Skip update if we can't parse the number
-          }
+    context.font = `bold ${settings.fontSize}px ${settings.fontFamily}`;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.lineJoin = "round";
+    context.lineWidth = Math.max(2, settings.fontSize / 8);
+    context.strokeStyle = "black";
+    NETHACK_COLORS.forEach((color, colorIndex) => {
+      context.fillStyle = color;
+      for (let code = 0; code < GLYPH_ATLAS_CHARS; code++) {
+        const cell = colorIndex * GLYPH_ATLAS_CHARS + code;
+        const x = ((cell % GLYPH_ATLAS_COLUMNS) + 0.5) * GLYPH_CELL_SIZE;
+        const y = (Math.floor(cell / GLYPH_ATLAS_COLUMNS) + 0.5) * GLYPH_CELL_SIZE;
+        const text = String.fromCharCode(GLYPH_ATLAS_FIRST_CHAR + code);
+        if (settings.outline) {
+          context.strokeText(text, x, y);
         }
+        context.fillText(text, x, y);
       }
+    });
 
-      // Handle attribute fields (strength can be like "18/01")
-      else if (
-        fieldName.match(
-          /^(strength|dexterity|constitution|intelligence|wisdom|charisma)$/
-        )
-      ) {
-        if (typeof value === "string") {
-          const cleanValue = value.trim();
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+  }
 
-          // Handle special strength format like "18/01" or just "18"
-          if (fieldName === "strength") {
-            const strengthMatch = cleanValue.match(/^(\d+)/);
-            if (strengthMatch) {
-              parsedValue = parseInt(strengthMatch[1], 10);
-            } else {
-              console.log(`⚠️ Could not parse strength value: "${value}"`);
-              return;
-            }
-          } else {
-            // For other attributes, just get the first number
-            const attrMatch = cleanValue.match(/^(\d+)/);
-            if (attrMatch) {
-              parsedValue = parseInt(attrMatch[1], 10);
-            } else {
-              console.log(
-                `⚠️ Could not parse attribute value for ${fieldName}: "${value}"`
-              );
-              return;
-            }
-          }
+  /**
+   * Create an instanced mesh drawing quads from a texture atlas. Each
+   * instance picks its cell by the atlasCell attribute, counted from the top
+   * left along rows.
+   * @param atlas Texture holding the cells
+   * @param columns Cells per row of the atlas
+   * @param rows Rows of cells in the atlas
+   * @param billboard Turn the quads to face the camera, rather than lying
+   *   flat on the map
+   */
+  private createAtlasBatch(
+    atlas: THREE.Texture,
+    columns: number,
+    rows: number,
+    billboard: boolean
+  ): InstanceBatch {
+    const geometry = new THREE.PlaneGeometry(TILE_SIZE, TILE_SIZE);
+    geometry.setAttribute(
+      "atlasCell",
+      new THREE.InstancedBufferAttribute(new Float32Array(MAP_TILE_CAPACITY), 1)
+    );
+    const material = new THREE.ShaderMaterial({
+      defines: billboard ? { BILLBOARD: "" } : {},
+      uniforms: {
+        atlas: { value: atlas },
+        atlasGrid: { value: new THREE.Vector2(columns, rows) },
+      },
+      vertexShader: `
+        attribute float atlasCell;
+        uniform vec2 atlasGrid;
+        varying vec2 vUv;
+        void main() {
+          #ifdef BILLBOARD
+            // Lay the quad out in view space so it always faces the camera
+            vec4 center = modelViewMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0);
+            gl_Position = projectionMatrix * (center + vec4(position.xy, 0.0, 0.0));
+          #else
+            gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(position, 1.0);
+          #endif
+          float column = mod(atlasCell, atlasGrid.x);
+          float row = floor(atlasCell / atlasGrid.x);
+          vUv = (vec2(column, atlasGrid.y - 1.0 - row) + uv) / atlasGrid;
         }
-      }
+      `,
+      fragmentShader: `
+        uniform sampler2D atlas;
+        varying vec2 vUv;
+        void main() {
+          gl_FragColor = texture2D(atlas, vUv);
+          #include <colorspace_fragment>
+        }
+      `,
+      transparent: true,
+      depthWrite: false,
+    });
 
-      // Handle string fields (keep as-is)
-      else if (
-        fieldName.match(/^(name|alignment|hunger|encumbrance|dungeon)$/)
-      ) {
-        // Keep as string, just trim whitespace
-        parsedValue = typeof value === "string" ? value.trim() : String(value);
+    const mesh = new THREE.InstancedMesh(geometry, material, MAP_TILE_CAPACITY);
+    mesh.count = 0;
+    mesh.frustumCulled = false; // Instances move, the bounding sphere doesn't
+    mesh.renderOrder = 1; // Over the tiles
+    this.scene.add(mesh);
+    return { mesh, keys: [] };
+  }
+
+  // The batch drawing every glyph character, from the glyph atlas
+  private getGlyphBatch(): InstanceBatch {
+    if (!this.glyphAtlas) {
+      this.glyphAtlas = this.createGlyphAtlas();
+    }
+    if (!this.glyphBatch) {
+      this.glyphBatch = this.createAtlasBatch(
+        this.glyphAtlas,
+        GLYPH_ATLAS_COLUMNS,
+        GLYPH_ATLAS_ROWS,
+        true
+      );
+    }
+    return this.glyphBatch;
+  }
+
+  // The batch drawing tileset tiles as billboards or as decals
+  private getTilesetBatch(tileset: Tileset, billboard: boolean): InstanceBatch {
+    let batch = billboard ? this.tilesetBillboards : this.tilesetDecals;
+    if (!batch) {
+      batch = this.createAtlasBatch(
+        tileset.texture,
+        tileset.columns,
+        tileset.rows,
+        billboard
+      );
+      if (billboard) {
+        this.tilesetBillboards = batch;
+      } else {
+        this.tilesetDecals = batch;
       }
+    }
+    return batch;
+  }
 
-      // Update the stats object
-      if (fieldName === "maxhp") {
-        this.playerStats.maxHp = parsedValue;
-      } else if (fieldName === "maxpower") {
-        this.playerStats.maxPower = parsedValue;
-      } else if (fieldName === "dlevel") {
-        this.playerStats.dlevel = parsedValue;
+  // Remove a batch made by createAtlasBatch and free everything but its atlas
+  private disposeAtlasBatch(batch: InstanceBatch): void {
+    this.scene.remove(batch.mesh);
+    batch.mesh.geometry.dispose();
+    (batch.mesh.material as THREE.Material).dispose();
+    batch.mesh.dispose();
+  }
+
+  /**
+   * Get the batch drawing tiles with this geometry and material, creating it
+   * the first time a tile needs it
+   */
+  private getTileBatch(
+    geometry: THREE.BufferGeometry,
+    material: THREE.Material
+  ): InstanceBatch {
+    const batchKey = `${geometry.uuid}:${material.uuid}`;
+    let batch = this.tileBatches.get(batchKey);
+    if (!batch) {
+      const mesh = new THREE.InstancedMesh(geometry, material, MAP_TILE_CAPACITY);
+      mesh.count = 0;
+      mesh.frustumCulled = false;
+      mesh.castShadow = true;
+      mesh.receiveShadow = true;
+      this.scene.add(mesh);
+      batch = { mesh, keys: [] };
+      this.tileBatches.set(batchKey, batch);
+    }
+    return batch;
+  }
+
+  /**
+   * Get a copy of a tile material in one of NetHack's colours. Its glow, if
+   * it has one, takes the colour too.
+   * @param color NetHack colour index
+   */
+  private getTintedMaterial(
+    material: THREE.MeshLambertMaterial,
+    color: number
+  ): THREE.MeshLambertMaterial {
+    const materialKey = `${material.uuid}:${color}`;
+    let tinted = this.tintedMaterials.get(materialKey);
+    if (!tinted) {
+      tinted = material.clone();
+      tinted.color.set(NETHACK_COLORS[color]);
+      if (material.emissive.getHex() !== 0) {
+        tinted.emissive.copy(tinted.color).multiplyScalar(0.25);
+      }
+      this.tintedMaterials.set(materialKey, tinted);
+    }
+    return tinted;
+  }
+
+  /**
+   * Place a tile's instance in a batch, taking it out of the batch it was
+   * drawn by before
+   * @returns The instance index within the batch
+   */
+  private placeInstance(
+    slots: InstanceMap,
+    key: string,
+    batch: InstanceBatch,
+    matrix: THREE.Matrix4
+  ): number {
+    let slot = slots.get(key);
+    if (slot && slot.batch !== batch) {
+      this.removeInstance(slots, key);
+      slot = undefined;
+    }
+    if (!slot) {
+      slot = { batch, index: batch.mesh.count };
+      batch.keys[slot.index] = key;
+      batch.mesh.count++;
+      slots.set(key, slot);
+    }
+    batch.mesh.setMatrixAt(slot.index, matrix);
+    batch.mesh.instanceMatrix.needsUpdate = true;
+    return slot.index;
+  }
+
+  // Remove a tile's instance by moving the batch's last instance into its place
+  private removeInstance(slots: InstanceMap, key: string): void {
+    const slot = slots.get(key);
+    if (!slot) return;
+
+    const { batch, index } = slot;
+    const last = batch.mesh.count - 1;
+    if (index !== last) {
+      const attributes: THREE.BufferAttribute[] = [batch.mesh.instanceMatrix];
+      if (batch.mesh.instanceColor) {
+        attributes.push(batch.mesh.instanceColor);
+      }
+      const geometryAttributes = batch.mesh.geometry.attributes;
+      Object.keys(geometryAttributes).forEach((name) => {
+        const attribute = geometryAttributes[name];
+        if (attribute instanceof THREE.InstancedBufferAttribute) {
+          attributes.push(attribute);
+        }
+      });
+      attributes.forEach((attribute) => {
+        const size = attribute.itemSize;
+        attribute.array.copyWithin(index * size, last * size, (last + 1) * size);
+        attribute.needsUpdate = true;
+      });
+
+      const movedKey = batch.keys[last];
+      batch.keys[index] = movedKey;
+      slots.get(movedKey)!.index = index;
+    }
+    batch.keys.length = last;
+    batch.mesh.count = last;
+    slots.delete(key);
+  }
+
+  // Point an instance of a batch made by createAtlasBatch at an atlas cell
+  private setAtlasCell(batch: InstanceBatch, index: number, cell: number): void {
+    const atlasCells = batch.mesh.geometry.getAttribute(
+      "atlasCell"
+    ) as THREE.InstancedBufferAttribute;
+    atlasCells.setX(index, cell);
+    atlasCells.needsUpdate = true;
+  }
+
+  /**
+   * Point a glyph instance at the atlas cell of its character and colour
+   * @param textColor NetHack colour index
+   */
+  private setGlyphInstance(
+    batch: InstanceBatch,
+    index: number,
+    char: string,
+    textColor: number
+  ): void {
+    let code = char.charCodeAt(0) - GLYPH_ATLAS_FIRST_CHAR;
+    if (!(code >= 0 && code < GLYPH_ATLAS_CHARS)) {
+      code = "?".charCodeAt(0) - GLYPH_ATLAS_FIRST_CHAR;
+    }
+    this.setAtlasCell(batch, index, textColor * GLYPH_ATLAS_CHARS + code);
+  }
+
+  // The tileset tile for a glyph, or null to draw it as a character
+  private getTilesetTile(glyph: number): number | null {
+    if (!this.glyphSettings.useTiles || !this.tileset) {
+      return null;
+    }
+    const tile = this.tileset.glyph2tile[glyph];
+    return typeof tile === "number" &&
+      tile >= 0 &&
+      tile < this.tileset.columns * this.tileset.rows
+      ? tile
+      : null;
+  }
+
+  // Remove every batch from the scene and free its buffers. Geometries and
+  // materials shared with other batches, the glyph atlas and the tileset
+  // are kept.
+  private disposeBatches(): void {
+    this.tileBatches.forEach((batch) => {
+      this.scene.remove(batch.mesh);
+      batch.mesh.dispose();
+    });
+    this.tileBatches.clear();
+    this.tileMap.clear();
+
+    if (this.glyphBatch) {
+      this.disposeAtlasBatch(this.glyphBatch);
+      this.glyphBatch = null;
+    }
+    this.glyphMap.clear();
+    this.disposeTilesetBatches();
+  }
+
+  private disposeTilesetBatches(): void {
+    if (this.tilesetBillboards) {
+      this.disposeAtlasBatch(this.tilesetBillboards);
+      this.tilesetBillboards = null;
+    }
+    if (this.tilesetDecals) {
+      this.disposeAtlasBatch(this.tilesetDecals);
+      this.tilesetDecals = null;
+    }
+    this.tilesetMap.clear();
+  }
+
+  private glyphToChar(glyph: number): string {
+    // Convert NetHack glyph numbers to ASCII characters
+    // This is a fallback for when the server doesn't provide the proper character
+    // Based on NetHack's glyph system
+
+    // Floor glyphs (2395-2397)
+    if (glyph >= 2395 && glyph <= 2397) return ".";
+
+    // Wall glyphs (2378-2394)
+    if (glyph >= 2378 && glyph <= 2394) {
+      switch (glyph) {
+        case 2378:
+          return "|"; // vertical wall
+        case 2379:
+          return "-"; // horizontal wall
+        case 2380:
+          return "-"; // top-left corner
+        case 2381:
+          return "-"; // top-right corner
+        case 2382:
+          return "-"; // bottom-left corner
+        case 2383:
+          return "-"; // bottom-right corner
+        case 2389:
+          return "+"; // door
+        case 2390:
+          return "+"; // open door
+        default:
+          return "#"; // generic wall
+      }
+    }
+
+    // Player character (broad range to cover all classes/races/genders)
+    // NetHack player glyphs are typically in the range 331-360+
+    if (glyph >= 331 && glyph <= 360) return "@";
+
+    // Monster glyphs (approximate ranges)
+    if (glyph >= 400 && glyph <= 500) {
+      // Common monsters
+      if (glyph >= 400 && glyph <= 410) return "d"; // dogs
+      if (glyph >= 411 && glyph <= 420) return "k"; // kobolds
+      if (glyph >= 421 && glyph <= 430) return "o"; // orcs
+      return "M"; // generic monster
+    }
+
+    // Item glyphs
+    if (glyph >= 1900 && glyph <= 2400) {
+      if (glyph >= 1920 && glyph <= 1930) return ")"; // weapons
+      if (glyph >= 2000 && glyph <= 2100) return "["; // armor
+      if (glyph >= 2180 && glyph <= 2220) return "%"; // food
+      if (glyph >= 2220 && glyph <= 2260) return "("; // tools
+      return "*"; // generic item
+    }
+
+    // Special terrain
+    if (glyph === 237) return "<"; // stairs up
+    if (glyph === 238) return ">"; // stairs down
+    if (glyph === 2334) return "#"; // solid rock
+    if (glyph === 2223) return "\\"; // throne
+
+    // Fallback: For unknown glyphs, show a generic character instead of the number
+    return "?";
+  }
+
+  private clearScene(): void {
+    console.log("🧹 Clearing all tiles and sprites from 3D scene");
+
+    // Drop the tile and glyph batches, they are created again as the next
+    // level is drawn
+    this.disposeBatches();
+    this.tileGlyphs.clear();
+
+    console.log("🧹 Scene cleared - ready for new level");
+  }
+
+  /**
+   * Redraw a tile from the last glyph the server sent for it
+   * @param x Map column
+   * @param y Map row
+   */
+  private redrawTile(x: number, y: number): void {
+    const tile = this.tileGlyphs.get(`${x},${y}`);
+    if (tile) {
+      this.updateTile(x, y, tile.glyph, tile.char, tile.color, tile.category);
+    }
+  }
+
+  // Redraw every tile, after switching between characters and tiles
+  private redrawAllTiles(): void {
+    this.tileGlyphs.forEach((tile, key) => {
+      const [x, y] = key.split(",").map(Number);
+      this.redrawTile(x, y);
+    });
+  }
+
+  /**
+   * Pick the geometry, material and text color for a glyph the server has
+   * classified
+   * @param category Glyph class and index from the server
+   * @param isPlayer Whether the glyph is the player's own monster glyph
+   */
+  private getCategoryStyle(
+    category: GlyphCategory,
+    isPlayer: boolean
+  ): {
+    material: THREE.MeshLambertMaterial;
+    geometry: THREE.BufferGeometry;
+    isWall: boolean;
+    textColor: number;
+  } {
+    const floor = { geometry: this.floorGeometry, isWall: false };
+    const wall = { geometry: this.wallGeometry, isWall: true };
+
+    switch (category.class) {
+      case "monster":
+        return isPlayer
+          ? { ...floor, material: this.materials.player, textColor: CLR_BRIGHT_GREEN }
+          : { ...floor, material: this.materials.monster, textColor: CLR_RED };
+      case "invisible":
+      case "warning":
+      case "swallow":
+        return { ...floor, material: this.materials.monster, textColor: CLR_RED };
+      case "object":
+      case "body":
+      case "statue":
+        return { ...floor, material: this.materials.item, textColor: CLR_BRIGHT_CYAN };
+      case "trap":
+        return { ...floor, material: this.materials.floor, textColor: CLR_BRIGHT_MAGENTA };
+      case "explode":
+      case "zap":
+        return { ...floor, material: this.materials.floor, textColor: CLR_YELLOW };
+      case "cmap":
+        break;
+      default:
+        // Unexplored and blank glyphs
+        return { ...floor, material: this.materials.dark, textColor: CLR_WHITE };
+    }
+
+    const symbol = category.index;
+    if (symbol <= S_TRWALL) {
+      // Solid rock (S_stone) and walls
+      return { ...wall, material: this.materials.wall, textColor: CLR_WHITE };
+    }
+    if (symbol === S_VCDOOR || symbol === S_HCDOOR) {
+      return { ...wall, material: this.materials.door, textColor: CLR_WHITE };
+    }
+    if (symbol === S_BARS || symbol === S_TREE) {
+      return { ...wall, material: this.materials.wall, textColor: CLR_WHITE };
+    }
+    if (symbol === S_CORR || symbol === S_LITCORR) {
+      return { ...floor, material: this.materials.dark, textColor: CLR_WHITE };
+    }
+    if (symbol === S_FOUNTAIN || symbol === S_POOL || symbol === S_WATER) {
+      return {
+        ...floor,
+        material: this.materials.fountain,
+        textColor: CLR_BRIGHT_BLUE,
+      };
+    }
+    // Doorways, open doors and room floor are plain floor; stairs, altars
+    // and the like stand out by their text color
+    return {
+      ...floor,
+      material: this.materials.floor,
+      textColor: symbol < S_LITCORR ? CLR_WHITE : CLR_BRIGHT_MAGENTA,
+    };
+  }
+
+  private updateTile(
+    x: number,
+    y: number,
+    glyph: number,
+    char?: string,
+    color?: number,
+    category?: GlyphCategory | null
+  ): void {
+    // Debug logging to see what character data we're receiving
+    console.log(
+      `🎨 updateTile(${x},${y}) glyph=${glyph} char="${char}" color=${color} class=${category ? category.class : "?"}`
+    );
+
+    const key = `${x},${y}`;
+    this.tileGlyphs.set(key, { glyph, char, color, category });
+
+    // The player is the monster glyph at the position NetHack clips the map
+    // around. Recordings made before glyphs were classified fall back to the
+    // old guess from the glyph number.
+    const isPlayerGlyph = category
+      ? category.class === "monster" &&
+        x === this.playerPos.x &&
+        y === this.playerPos.y
+      : glyph >= 331 && glyph <= 360 && (char === "@" || !char);
+    if (isPlayerGlyph && !category) {
+      console.log(
+        `🎯 Player detected at position (${x}, ${y}) with glyph ${glyph}, char: "${char}"`
+      );
+      this.playerPos = { x, y };
+      this.updateStatus(`Player at (${x}, ${y}) - NetHack 3D`);
+    }
+
+    // Use the server's classification, else guess from the character and
+    // then from glyph ID ranges
+    let material: THREE.MeshLambertMaterial = this.materials.default;
+    let geometry: THREE.BufferGeometry = this.floorGeometry;
+    let isWall = false;
+    const categoryStyle = category
+      ? this.getCategoryStyle(category, isPlayerGlyph)
+      : null;
+
+    if (categoryStyle) {
+      material = categoryStyle.material;
+      geometry = categoryStyle.geometry;
+      isWall = categoryStyle.isWall;
+    } else if (char) {
+      console.log(`🔤 Using character-based detection: "${char}"`);
+
+      // Special case: Check for door glyphs, but respect the character
+      if (glyph === 2389 || glyph === 2390) {
+        // Door glyphs - but the character tells us the actual state
+        if (char === ".") {
+          // Open doorway - character "." means it's passable floor
+          console.log(`  -> Open doorway (glyph ${glyph}, char ".")`);
+          material = this.materials.floor;
+          geometry = this.floorGeometry;
+          isWall = false;
+        } else if (char === "+") {
+          // Closed door - character "+" means it's blocking
+          console.log(`  -> Closed door (glyph ${glyph}, char "+")`);
+          material = this.materials.door;
+          geometry = this.wallGeometry;
+          isWall = true;
+        } else {
+          // Other door states - default to open
+          console.log(
+            `  -> Door with character "${char}" - defaulting to open`
+          );
+          material = this.materials.floor;
+          geometry = this.floorGeometry;
+          isWall = false;
+        }
+      } else if (char === ".") {
+        // Floor/corridor
+        console.log(`  -> Floor/corridor`);
+        material = this.materials.floor;
+        geometry = this.floorGeometry;
+        isWall = false;
+      } else if (char === " ") {
+        // Blank space - in NetHack this typically represents dark/unseen areas (walls)
+        console.log(`  -> Dark area/unseen wall`);
+        material = this.materials.wall;
+        geometry = this.wallGeometry;
+        isWall = true;
+      } else if (char === "#") {
+        // In NetHack, # represents dark/unexplored areas (flat floor, not walls)
+        console.log(`  -> Dark area (flat)`);
+        material = this.materials.dark; // Dark blue for unseen areas
+        geometry = this.floorGeometry; // Should be flat, not wall blocks
+        isWall = false;
+      } else if (char === "|" || char === "-") {
+        // Explicit wall characters (but not doors, which were checked above)
+        console.log(`  -> Wall`);
+        material = this.materials.wall;
+        geometry = this.wallGeometry;
+        isWall = true;
+      } else if (isPlayerGlyph) {
+        // Player character (based on glyph range + "@" char)
+        console.log(`  -> Player`);
+        material = this.materials.player;
+        geometry = this.floorGeometry;
+        isWall = false;
+      } else if (char === "@") {
+        // Non-player "@" character (shopkeeper, NPC, etc.)
+        console.log(`  -> NPC/Shopkeeper`);
+        material = this.materials.monster; // Treat as monster/NPC
+        geometry = this.floorGeometry;
+        isWall = false;
+      } else if (char === "{") {
+        // Water fountain
+        console.log(`  -> Water fountain`);
+        material = this.materials.fountain;
+        geometry = this.floorGeometry;
+        isWall = false;
+      } else if (char.match(/[a-zA-Z]/)) {
+        // Letters are usually monsters
+        console.log(`  -> Monster`);
+        material = this.materials.monster;
+        geometry = this.floorGeometry;
+        isWall = false;
+      } else if (char.match(/[)(\[%*$?!=/\\<>]/)) {
+        // Items and special characters
+        console.log(`  -> Item`);
+        material = this.materials.item;
+        geometry = this.floorGeometry;
+        isWall = false;
       } else {
-        (this.playerStats as any)[fieldName] = parsedValue;
+        // Default to floor for unknown characters
+        console.log(`  -> Default to floor`);
+        material = this.materials.floor;
+        geometry = this.floorGeometry;
+        isWall = false;
       }
+    } else {
+      console.log(`🔢 Using glyph-based detection: ${glyph}`);
+      // Fall back to glyph ID ranges when no character is provided
+      if (glyph >= 2378 && glyph <= 2394) {
+        // Wall glyphs
+        material = this.materials.wall;
+        geometry = this.wallGeometry;
+        isWall = true;
+      } else if (glyph >= 2395 && glyph <= 2397) {
+        // Floor glyphs
+        material = this.materials.floor;
+        geometry = this.floorGeometry;
+      } else if (isPlayerGlyph) {
+        // Player glyphs (using broader range)
+        material = this.materials.player;
+        geometry = this.floorGeometry;
+      } else if (glyph >= 400 && glyph <= 500) {
+        // Monster glyphs (approximate range)
+        material = this.materials.monster;
+        geometry = this.floorGeometry;
+      } else if (glyph >= 1900 && glyph <= 2400) {
+        // Item glyphs (approximate range)
+        material = this.materials.item;
+        geometry = this.floorGeometry;
+      } else {
+        // Default floor for unknown glyphs
+        material = this.materials.floor;
+        geometry = this.floorGeometry;
+      }
+    }
+
+    // Monsters and objects stand up as billboards when drawn from a tileset
+    const isThing =
+      material === this.materials.player ||
+      material === this.materials.monster ||
+      material === this.materials.item;
+
+    // Monsters, objects, traps and dungeon features take their NetHack
+    // colour, so a red dragon and a blue jelly, or lava and a pool, differ by
+    // more than their letter. Gray is the colour of plain walls and floor, so
+    // those keep their own materials.
+    const nethackColor =
+      typeof color === "number" && color >= 0 && color < NETHACK_COLORS.length
+        ? color
+        : null;
+    const isPlainColor = nethackColor === CLR_GRAY || nethackColor === NO_COLOR;
+    if (
+      nethackColor !== null &&
+      material !== this.materials.player &&
+      material !== this.materials.default &&
+      (isThing || !isPlainColor)
+    ) {
+      material = this.getTintedMaterial(material, nethackColor);
+    }
+
+    this.instanceMatrix.makeTranslation(
+      x * TILE_SIZE,
+      -y * TILE_SIZE,
+      isWall ? WALL_HEIGHT / 2 : 0
+    );
+    this.placeInstance(
+      this.tileMap,
+      key,
+      this.getTileBatch(geometry, material),
+      this.instanceMatrix
+    );
+
+    // Create or update the glyph drawn over the tile
+    // Use the character provided by NetHack's mapglyph function if available
+    const glyphChar = char || this.glyphToChar(glyph);
+
+    // Use NetHack's own colour for the glyph, else guess from its type
+    let textColor = CLR_YELLOW; // Default color
+
+    // NetHack glyph categories (based on NetHack source code glyph ranges)
+    if (nethackColor !== null) {
+      textColor = nethackColor;
+    } else if (categoryStyle) {
+      textColor = categoryStyle.textColor;
+    } else if (glyph >= 2378 && glyph <= 2399) {
+      // Structural glyphs: walls, floors, corridors, doors
+      // This includes: walls (2378-2394), floors (2395-2397), corridors (2398-2399)
+      textColor = CLR_WHITE;
+    } else if (glyph === 2408) {
+      // Water fountain (specific glyph) - override structural color
+      textColor = CLR_BRIGHT_BLUE;
+    } else if (glyph >= 331 && glyph <= 360) {
+      // Player glyphs
+      textColor = CLR_BRIGHT_GREEN; // Bright green for player
+    } else if (glyph >= 400 && glyph <= 600) {
+      // Monster glyphs (expanded range for better coverage)
+      textColor = CLR_RED;
+    } else if (glyph >= 1900 && glyph < 2378) {
+      // Item glyphs (excluding structural elements)
+      textColor = CLR_BRIGHT_CYAN;
+    } else if (glyph >= 2400 && glyph <= 2500) {
+      // Special terrain and features
+      textColor = CLR_BRIGHT_MAGENTA;
+    } else if (glyph >= 1 && glyph <= 330) {
+      // Miscellaneous objects and terrain
+      textColor = CLR_WHITE;
+    }
+
+    // With tiles on, draw the tileset's tile for the glyph if it has one
+    const tile = this.getTilesetTile(glyph);
+    if (tile !== null && this.tileset) {
+      this.removeInstance(this.glyphMap, key);
+      const tilesetBatch = this.getTilesetBatch(this.tileset, isThing);
+      this.instanceMatrix.makeTranslation(
+        x * TILE_SIZE,
+        -y * TILE_SIZE,
+        (isWall ? WALL_HEIGHT : 0) + (isThing ? 0.5 : 0.01)
+      );
+      const tileIndex = this.placeInstance(
+        this.tilesetMap,
+        key,
+        tilesetBatch,
+        this.instanceMatrix
+      );
+      this.setAtlasCell(tilesetBatch, tileIndex, tile);
+      return;
+    }
+    this.removeInstance(this.tilesetMap, key);
+
+    const glyphBatch = this.getGlyphBatch();
+    // Position the glyph above the tile
+    this.instanceMatrix.makeTranslation(
+      x * TILE_SIZE,
+      -y * TILE_SIZE,
+      isWall ? WALL_HEIGHT + 0.3 : 0.3
+    );
+    const glyphIndex = this.placeInstance(
+      this.glyphMap,
+      key,
+      glyphBatch,
+      this.instanceMatrix
+    );
+    this.setGlyphInstance(glyphBatch, glyphIndex, glyphChar, textColor);
+  }
+
+  /**
+   * Add a line to the message log, stamped with the current turn
+   * @param message Text of the message
+   * @param attr NetHack text attribute it was printed with
+   * @param category Log category, "system" for the client's own messages
+   */
+  private addGameMessage(
+    message: string,
+    attr: number = 0,
+    category: string = "system"
+  ): void {
+    if (!message || message.trim() === "") return;
+
+    this.logEntries.push({
+      text: message,
+      attr: attr || 0,
+      turn: this.playerStats.time,
+      category: category,
+    });
+
+    this.renderGameLog();
+  }
+
+  private categorizeMessage(text: string): string {
+    const match = LOG_CATEGORY_PATTERNS.find(({ pattern }) => pattern.test(text));
+    return match ? match.category : "other";
+  }
+
+  private isLogEntryShown(entry: LogEntry): boolean {
+    return (
+      this.logFilters[entry.category] !== false &&
+      (!this.logSearch || entry.text.toLowerCase().indexOf(this.logSearch) !== -1)
+    );
+  }
+
+  // Redraw the newest matching entries, newest at the top. Game text only
+  // ever goes in as textContent.
+  private renderGameLog(): void {
+    const logElement = document.getElementById("game-log");
+    if (!logElement) {
+      return;
+    }
+
+    const shown = this.logEntries.filter((entry) => this.isLogEntryShown(entry));
+    while (logElement.firstChild) {
+      logElement.removeChild(logElement.firstChild);
+    }
+    for (const entry of shown.slice(-LOG_RENDER_LIMIT).reverse()) {
+      const line = document.createElement("div");
+      const turn = document.createElement("span");
+      turn.style.color = "#66ffff";
+      turn.textContent = `T:${entry.turn || "-"} `;
+      line.appendChild(turn);
+      const text = document.createElement("span");
+      this.applyTextAttr(text, entry.attr);
+      text.textContent = entry.text;
+      line.appendChild(text);
+      logElement.appendChild(line);
+    }
+    if (shown.length > LOG_RENDER_LIMIT) {
+      const more = document.createElement("div");
+      more.style.color = "#888";
+      more.textContent = `... ${shown.length - LOG_RENDER_LIMIT} older messages (search or export to see them)`;
+      logElement.appendChild(more);
+    }
+    logElement.scrollTop = 0; // Keep newest messages at top
+  }
+
+  /**
+   * Style an element for one of NetHack's text attributes
+   * (ATR_BOLD, ATR_DIM, ATR_ULINE, ATR_BLINK and ATR_INVERSE)
+   */
+  private applyTextAttr(element: HTMLElement, attr: number): void {
+    switch ((attr || 0) & 0xff) {
+      case 1:
+        element.style.fontWeight = "bold";
+        element.style.color = "#ffffff";
+        break;
+      case 2:
+        element.style.color = "#888";
+        break;
+      case 4:
+        element.style.textDecoration = "underline";
+        break;
+      case 5:
+        element.style.color = "#ffff00";
+        break;
+      case 7:
+        element.style.background = "#ccc";
+        element.style.color = "black";
+        break;
+    }
+  }
+
+  // Download the whole log, oldest first, as a text file
+  private exportGameLog(): void {
+    const text = this.logEntries
+      .map(
+        (entry) =>
+          `T:${entry.turn || "-"}\t[${LOG_CATEGORY_LABELS[entry.category]}]\t${entry.text}`
+      )
+      .join("\n");
+    const url = URL.createObjectURL(new Blob([text + "\n"], { type: "text/plain" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `nethack-log-${new Date().toISOString().slice(0, 19).replace(/:/g, "-")}.txt`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  private updateStatus(status: string): void {
+    const statusElement = document.getElementById("game-status");
+    if (statusElement) {
+      statusElement.innerHTML = status;
+    }
+  }
+
+  private updateConnectionStatus(status: string, color: string): void {
+    const connElement = document.getElementById("connection-status");
+    if (connElement) {
+      connElement.innerHTML = status;
+      connElement.style.backgroundColor = color;
+    }
+  }
+
+  private updatePlayerStats(
+    field: number,
+    value: string | null,
+    data: any
+  ): void {
+    const fieldName = STATUS_FIELD_NAMES[field];
+
+    if (fieldName && value !== null && !value.startsWith("ptr:")) {
+      console.log(`📊 Updating ${fieldName}: "${value}"`);
+
+      // Parse values intelligently based on field type and content
+      let parsedValue: any = value;
+
+      // Handle numeric fields
+      if (
+        fieldName.match(
+          /^(hp|maxhp|power|maxpower|level|experience|time|armor|score|gold|dlevel)$/
+        )
+      ) {
+        // For pure numbers, try to parse directly
+        if (typeof value === "string") {
+          // Remove any leading/trailing whitespace
+          const cleanValue = value.trim();
+
+          // Take the number at the end, which skips labels like "Dlvl:"
+          // and the glyph NetHack puts in front of the gold amount
+          const match = cleanValue.match(/(-?\d+)$/);
+          if (match) {
+            parsedValue = parseInt(match[1], 10);
+          } else {
+            console.log(
+              `⚠️ Could not parse numeric value for ${fieldName}: "${value}"`
+            );
+            return; // Skip update if we can't parse the number
+          }
+        }
+      }
+
+      // Handle attribute fields (strength can be like "18/01")
+      else if (
+        fieldName.match(
+          /^(strength|dexterity|constitution|intelligence|wisdom|charisma)$/
+        )
+      ) {
+        if (typeof value === "string") {
+          const cleanValue = value.trim();
+
+          // Handle special strength format like "18/01" or just "18"
+          if (fieldName === "strength") {
+            const strengthMatch = cleanValue.match(/^(\d+)/);
+            if (strengthMatch) {
+              parsedValue = parseInt(strengthMatch[1], 10);
+            } else {
+              console.log(`⚠️ Could not parse strength value: "${value}"`);
+              return;
+            }
+          } else {
+            // For other attributes, just get the first number
+            const attrMatch = cleanValue.match(/^(\d+)/);
+            if (attrMatch) {
+              parsedValue = parseInt(attrMatch[1], 10);
+            } else {
+              console.log(
+                `⚠️ Could not parse attribute value for ${fieldName}: "${value}"`
+              );
+              return;
+            }
+          }
+        }
+      }
+
+      // Handle string fields (keep as-is)
+      else if (
+        fieldName.match(/^(name|alignment|hunger|encumbrance|dungeon)$/)
+      ) {
+        // Keep as string, just trim whitespace
+        parsedValue = typeof value === "string" ? value.trim() : String(value);
+      }
+
+      // Update the stats object
+      if (fieldName === "maxhp") {
+        this.playerStats.maxHp = parsedValue;
+      } else if (fieldName === "maxpower") {
+        this.playerStats.maxPower = parsedValue;
+      } else if (fieldName === "dlevel") {
+        this.playerStats.dlevel = parsedValue;
+      } else {
+        (this.playerStats as any)[fieldName] = parsedValue;
+      }
+
+      // Update the stats display
+      this.updateStatsDisplay();
+    } else if (value && value.startsWith("ptr:")) {
+      console.log(`📊 Skipping pointer value for field ${field}: ${value}`);
+    } else {
+      console.log(
+        `📊 Unknown status field ${field} or null/invalid value: "${value}"`
+      );
+    }
+  }
+
+  private updateStatsDisplay(): void {
+    // Update or create the stats bar
+    let statsBar = document.getElementById("stats-bar");
+    if (!statsBar) {
+      // Create the stats bar at the top of the screen
+      statsBar = document.createElement("div");
+      statsBar.id = "stats-bar";
+      statsBar.style.cssText = `
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        background: linear-gradient(180deg, rgba(0, 0, 0, 0.9) 0%, rgba(0, 0, 0, 0.7) 100%);
+        color: white;
+        padding: 8px 15px;
+        font-family: 'Courier New', monospace;
+        font-size: 12px;
+        z-index: 1500;
+        border-bottom: 2px solid #00ff00;
+        display: flex;
+        align-items: center;
+        gap: 20px;
+        box-shadow: 0 2px 10px rgba(0, 0, 0, 0.5);
+      `;
+      document.body.appendChild(statsBar);
+
+      // Adjust the game log position to accommodate the stats bar
+      const gameLogContainer = document.querySelector(
+        ".top-left-ui"
+      ) as HTMLElement;
+      if (gameLogContainer) {
+        gameLogContainer.style.top = "65px"; // Move down below stats bar
+      }
+    }
+
+    // Create HP bar component
+    const hpPercentage =
+      this.playerStats.maxHp > 0
+        ? (this.playerStats.hp / this.playerStats.maxHp) * 100
+        : 0;
+    const hpColor =
+      hpPercentage > 60 ? "#00ff00" : hpPercentage > 30 ? "#ffaa00" : "#ff0000";
+
+    const hpBar = `
+      <div style="display: flex; flex-direction: column; min-width: 120px;">
+        <div style="font-weight: bold; color: #ff6666; margin-bottom: 2px;">
+          HP: ${this.playerStats.hp}/${this.playerStats.maxHp}
+        </div>
+        <div style="background: #333; height: 8px; border-radius: 4px; border: 1px solid #666;">
+          <div style="
+            background: ${hpColor}; 
+            height: 100%; 
+            width: ${hpPercentage}%; 
+            border-radius: 3px;
+            transition: width 0.3s ease;
+          "></div>
+        </div>
+      </div>
+    `;
+
+    // Create Power bar component (if the player has magical power)
+    let powerBar = "";
+    if (this.playerStats.maxPower > 0) {
+      const powerPercentage =
+        (this.playerStats.power / this.playerStats.maxPower) * 100;
+      powerBar = `
+        <div style="display: flex; flex-direction: column; min-width: 120px;">
+          <div style="font-weight: bold; color: #6666ff; margin-bottom: 2px;">
+            Pw: ${this.playerStats.power}/${this.playerStats.maxPower}
+          </div>
+          <div style="background: #333; height: 8px; border-radius: 4px; border: 1px solid #666;">
+            <div style="
+              background: #6666ff; 
+              height: 100%; 
+              width: ${powerPercentage}%; 
+              border-radius: 3px;
+              transition: width 0.3s ease;
+            "></div>
+          </div>
+        </div>
+      `;
+    }
+
+    // Build the complete stats display
+    statsBar.innerHTML = `
+      <!-- Player Name and Level -->
+      <div style="font-weight: bold; color: #00ff00; min-width: 150px;">
+        ${this.playerStats.name} (Lvl ${this.playerStats.level})
+      </div>
+      
+      <!-- HP Bar -->
+      ${hpBar}
+      
+      <!-- Power Bar (if applicable) -->
+      ${powerBar}
+      
+      <!-- Core Stats -->
+      <div style="display: flex; gap: 15px; font-size: 11px;">
+        <div style="color: #ffaa00;">St:${this.playerStats.strength}</div>
+        <div style="color: #ffaa00;">Dx:${this.playerStats.dexterity}</div>
+        <div style="color: #ffaa00;">Co:${this.playerStats.constitution}</div>
+        <div style="color: #ffaa00;">In:${this.playerStats.intelligence}</div>
+        <div style="color: #ffaa00;">Wi:${this.playerStats.wisdom}</div>
+        <div style="color: #ffaa00;">Ch:${this.playerStats.charisma}</div>
+      </div>
+      
+      <!-- Secondary Stats -->
+      <div style="display: flex; gap: 15px; font-size: 11px;">
+        <div style="color: #aaaaff;">AC:${this.playerStats.armor}</div>
+        <div style="color: #ffff66;">$:${this.playerStats.gold}</div>
+        <div style="color: #66ffff;">T:${this.playerStats.time}</div>
+      </div>
+      
+      <!-- Location and Status -->
+      <div style="display: flex; flex-direction: column; gap: 2px; font-size: 11px; flex: 1; text-align: right;">
+        <div style="color: #cccccc;">${this.playerStats.dungeon} ${
+      this.playerStats.dlevel
+    }</div>
+        <div style="color: #ffaaff;">${this.playerStats.hunger}${
+      this.playerStats.encumbrance ? " " + this.playerStats.encumbrance : ""
+    }</div>
+      </div>
+    `;
+  }
+
+  private updateInventoryDisplay(items: any[]): void {
+    // Update inventory display without showing a dialog
+    // This is for informational inventory updates from NetHack
+
+    if (!items || items.length === 0) {
+      console.log("📦 Inventory is empty");
+      return;
+    }
+
+    // Log inventory items for debugging
+    console.log("📦 Current inventory:");
+    items.forEach((item, index) => {
+      if (item.isCategory) {
+        console.log(`  📁 ${item.text}`);
+      } else {
+        console.log(`  ${item.accelerator || "?"}) ${item.text}`);
+      }
+    });
+
+    // TODO: If we add an inventory panel to the UI in the future, update it here
+    // For now, we just log the inventory and don't show any dialog
+  }
+
+  private showQuestion(
+    question: string,
+    choices: string,
+    defaultChoice: string,
+    menuItems: any[],
+    how: string = ""
+  ): void {
+    // Temporarily disable automatic "?" expansion to debug menu issues
+    // TODO: Re-enable with better logic later
+    const needsExpansion = false;
+
+    if (needsExpansion) {
+      console.log(
+        "🔍 Question includes '?' option, automatically expanding options..."
+      );
+      // Send "?" to get detailed menu items
+      this.sendInput("?");
+      // Don't show the dialog yet - wait for expanded menu items
+      return;
+    }
+
+    // Create or get question dialog
+    let questionDialog = document.getElementById("question-dialog");
+    if (!questionDialog) {
+      questionDialog = document.createElement("div");
+      questionDialog.id = "question-dialog";
+      questionDialog.style.cssText = `
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        background: rgba(0, 0, 0, 0.9);
+        color: white;
+        padding: 20px;
+        border: 2px solid #00ff00;
+        border-radius: 10px;
+        z-index: 2000;
+        font-family: 'Courier New', monospace;
+        text-align: center;
+        min-width: 300px;
+        max-width: 600px;
+        max-height: 80vh;
+        overflow-y: auto;
+      `;
+      document.body.appendChild(questionDialog);
+    }
+
+    // Clear previous content
+    questionDialog.innerHTML = "";
+
+    // Add question text
+    const questionText = document.createElement("div");
+    questionText.style.cssText = `
+      font-size: 16px;
+      margin-bottom: 15px;
+      line-height: 1.4;
+    `;
+    questionText.textContent = question;
+    questionDialog.appendChild(questionText);
+
+    // Add menu items if available
+    if (menuItems && menuItems.length > 0) {
+      // Menus that take any number of items (pickup, drop, ...) get the
+      // multi-selection dialog
+      const isPickupDialog = how === "PICK_ANY";
+
+      if (isPickupDialog) {
+        // Create multi-selection pickup dialog
+        this.createPickupDialog(questionDialog, menuItems, question);
+      } else if (how === "PICK_NONE") {
+        // Nothing to pick, just something to read
+        this.createReadOnlyMenu(questionDialog, menuItems);
+      } else {
+        // Create standard single-selection menu
+        this.createStandardMenu(questionDialog, menuItems);
+      }
+    } else {
+      // Add choice buttons for simple y/n questions
+      const choiceContainer = document.createElement("div");
+      choiceContainer.style.cssText = `
+        display: flex;
+        justify-content: center;
+        gap: 10px;
+        margin-top: 15px;
+      `;
+
+      if (choices && choices.length > 0) {
+        for (const choice of choices) {
+          const button = document.createElement("button");
+          button.style.cssText = `
+            padding: 8px 16px;
+            background: ${choice === defaultChoice ? "#00aa00" : "#333"};
+            color: white;
+            border: 1px solid #666;
+            border-radius: 3px;
+            cursor: pointer;
+            font-family: 'Courier New', monospace;
+          `;
+          button.textContent = choice.toUpperCase();
+          button.onclick = () => {
+            this.sendInput(choice);
+            this.hideQuestion();
+          };
+          choiceContainer.appendChild(button);
+        }
+      }
+
+      questionDialog.appendChild(choiceContainer);
+    }
+
+    // Add escape instruction
+    const escapeText = document.createElement("div");
+    escapeText.style.cssText = `
+      font-size: 12px;
+      color: #aaa;
+      margin-top: 15px;
+    `;
+    escapeText.textContent = "Press ESC to cancel";
+    questionDialog.appendChild(escapeText);
+
+    // Show the dialog
+    questionDialog.style.display = "block";
+  }
+
+  /**
+   * Show the lines of a NetHack text window a page at a time
+   * @param lines {text, attr} for each line put into the window
+   */
+  private showTextWindow(lines: any[], awaitsKey: boolean = true): void {
+    this.textWindowLines = lines;
+    this.textWindowPage = 0;
+    this.textWindowAwaitsKey = awaitsKey;
+
+    let textWindow = document.getElementById("text-window");
+    if (!textWindow) {
+      textWindow = document.createElement("div");
+      textWindow.id = "text-window";
+      textWindow.style.cssText = `
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        background: rgba(0, 0, 0, 0.95);
+        color: white;
+        padding: 20px;
+        border: 2px solid #00ff00;
+        border-radius: 10px;
+        z-index: 2000;
+        font-family: 'Courier New', monospace;
+        min-width: 400px;
+        max-width: 90vw;
+      `;
+      document.body.appendChild(textWindow);
+    }
+    textWindow.style.display = "block";
+    this.renderTextWindowPage();
+  }
+
+  /**
+   * Show the game's previous messages, opening on the most recent page.
+   * NetHack doesn't wait on this window, so closing it sends nothing.
+   * @param messages {text, attr} for each message, oldest first
+   */
+  private showMessageHistory(messages: any[]): void {
+    const lines =
+      messages.length > 0
+        ? messages.map((message: any) => ({
+            text: message.text,
+            attr: message.attr,
+          }))
+        : [{ text: "No previous messages.", attr: 0 }];
+    this.showTextWindow(lines, false);
+    this.textWindowPage =
+      Math.ceil(lines.length / TEXT_WINDOW_PAGE_LINES) - 1;
+    this.renderTextWindowPage();
+  }
+
+  private renderTextWindowPage(): void {
+    const textWindow = document.getElementById("text-window");
+    if (!textWindow) {
+      return;
+    }
+    textWindow.innerHTML = "";
+
+    const pageCount = Math.max(
+      1,
+      Math.ceil(this.textWindowLines.length / TEXT_WINDOW_PAGE_LINES)
+    );
+    const start = this.textWindowPage * TEXT_WINDOW_PAGE_LINES;
+
+    const body = document.createElement("div");
+    body.style.cssText = `
+      white-space: pre;
+      overflow: auto;
+      max-height: 60vh;
+      font-size: 14px;
+      line-height: 1.3;
+    `;
+    for (const line of this.textWindowLines.slice(
+      start,
+      start + TEXT_WINDOW_PAGE_LINES
+    )) {
+      const lineElement = document.createElement("div");
+      this.applyTextAttr(lineElement, line.attr);
+      lineElement.textContent = line.text || " ";
+      body.appendChild(lineElement);
+    }
+    textWindow.appendChild(body);
+
+    const footer = document.createElement("div");
+    footer.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 10px;
+      margin-top: 15px;
+      font-size: 12px;
+      color: #aaa;
+    `;
+    const pageText = document.createElement("span");
+    pageText.textContent = `Page ${this.textWindowPage + 1}/${pageCount} - Space/PgDn next, PgUp back, Enter or ESC to close`;
+    footer.appendChild(pageText);
+
+    const buttons = document.createElement("div");
+    const createButton = (label: string, enabled: boolean, onClick: () => void) => {
+      const button = document.createElement("button");
+      button.style.cssText = `
+        margin-left: 5px;
+        padding: 6px 12px;
+        background: #333;
+        color: ${enabled ? "white" : "#666"};
+        border: 1px solid #666;
+        border-radius: 3px;
+        cursor: pointer;
+        font-family: 'Courier New', monospace;
+      `;
+      button.textContent = label;
+      button.disabled = !enabled;
+      button.onclick = onClick;
+      buttons.appendChild(button);
+    };
+    createButton("< Prev", this.textWindowPage > 0, () =>
+      this.turnTextWindowPage(-1)
+    );
+    createButton("Next >", this.textWindowPage < pageCount - 1, () =>
+      this.turnTextWindowPage(1)
+    );
+    createButton("Close", true, () => this.closeTextWindow("Enter"));
+    footer.appendChild(buttons);
+    textWindow.appendChild(footer);
+  }
+
+  private turnTextWindowPage(delta: number): void {
+    const pageCount = Math.ceil(
+      this.textWindowLines.length / TEXT_WINDOW_PAGE_LINES
+    );
+    const page = this.textWindowPage + delta;
+    if (page >= 0 && page < pageCount) {
+      this.textWindowPage = page;
+      this.renderTextWindowPage();
+    }
+  }
+
+  private hideMorePrompt(): void {
+    if (this.isAwaitingMore) {
+      this.isAwaitingMore = false;
+      this.updateStatus(
+        `Player at (${this.playerPos.x}, ${this.playerPos.y}) - NetHack 3D`
+      );
+    }
+  }
+
+  /**
+   * Show the extended command being typed after #, with the commands whose
+   * names start with it. Clicking one runs it.
+   * @param data The extended_command message from the server
+   */
+  private showExtendedCommand(data: any): void {
+    this.isAwaitingExtendedCommand = true;
+
+    let commandDialog = document.getElementById("extended-command-dialog");
+    if (!commandDialog) {
+      commandDialog = document.createElement("div");
+      commandDialog.id = "extended-command-dialog";
+      commandDialog.style.cssText = `
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        background: rgba(0, 0, 0, 0.9);
+        color: white;
+        padding: 20px;
+        border: 2px solid #00ff00;
+        border-radius: 10px;
+        z-index: 2000;
+        font-family: 'Courier New', monospace;
+        min-width: 400px;
+        max-width: 600px;
+        max-height: 80vh;
+        overflow-y: auto;
+      `;
+      document.body.appendChild(commandDialog);
+    }
+    commandDialog.innerHTML = "";
+    commandDialog.style.display = "block";
+
+    // What was typed, then the rest of the name it autocompletes to
+    const typedLine = document.createElement("div");
+    typedLine.style.cssText = `
+      font-size: 16px;
+      margin-bottom: 15px;
+    `;
+    typedLine.textContent = `# ${data.typed}`;
+    if (data.completion && data.completion !== data.typed) {
+      const completion = document.createElement("span");
+      completion.style.color = "#666";
+      completion.textContent = data.completion.substring(data.typed.length);
+      typedLine.appendChild(completion);
+    }
+    commandDialog.appendChild(typedLine);
+
+    if (data.error) {
+      const errorText = document.createElement("div");
+      errorText.style.cssText = `
+        color: #ff6666;
+        margin-bottom: 10px;
+      `;
+      errorText.textContent = data.error;
+      commandDialog.appendChild(errorText);
+    }
+
+    for (const command of data.commands) {
+      if (command.name.indexOf(data.typed) !== 0) {
+        continue;
+      }
+      const commandRow = document.createElement("div");
+      commandRow.style.cssText = `
+        padding: 2px 5px;
+        cursor: pointer;
+        color: ${command.name === data.completion ? "#00ff00" : "white"};
+      `;
+      commandRow.textContent = `${command.name} - ${command.description}`;
+      commandRow.onclick = () => {
+        this.sendExtendedCommand(command.name);
+        this.hideExtendedCommand();
+      };
+      commandDialog.appendChild(commandRow);
+    }
+  }
+
+  private hideExtendedCommand(): void {
+    this.isAwaitingExtendedCommand = false;
+    const commandDialog = document.getElementById("extended-command-dialog");
+    if (commandDialog) {
+      commandDialog.style.display = "none";
+    }
+  }
+
+  private sendExtendedCommand(name: string): void {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(
+        JSON.stringify({
+          type: "extended_command",
+          command: name,
+        })
+      );
+    }
+  }
+
+  private isTextWindowOpen(): boolean {
+    const textWindow = document.getElementById("text-window");
+    return !!textWindow && textWindow.style.display !== "none";
+  }
+
+  // Paging keys turn the page, Space past the last page closes like --More--
+  private handleTextWindowKey(event: KeyboardEvent): void {
+    const lastPage =
+      this.textWindowPage >=
+      Math.ceil(this.textWindowLines.length / TEXT_WINDOW_PAGE_LINES) - 1;
+    switch (event.key) {
+      case " ":
+      case "PageDown":
+      case ">":
+        event.preventDefault();
+        if (event.key === " " && lastPage) {
+          this.closeTextWindow(" ");
+        } else {
+          this.turnTextWindowPage(1);
+        }
+        break;
+      case "PageUp":
+      case "<":
+        event.preventDefault();
+        this.turnTextWindowPage(-1);
+        break;
+      case "Enter":
+      case "Escape":
+        this.closeTextWindow(event.key);
+        break;
+    }
+  }
+
+  // Send the key that dismisses the window in NetHack, then hide it
+  private closeTextWindow(key: string): void {
+    if (this.textWindowAwaitsKey) {
+      this.sendInput(key);
+    }
+    this.hideTextWindow();
+  }
+
+  private hideTextWindow(): void {
+    const textWindow = document.getElementById("text-window");
+    if (textWindow && textWindow.style.display !== "none") {
+      textWindow.style.display = "none";
+      textWindow.innerHTML = "";
+      this.isInQuestion = false;
+    }
+    this.textWindowLines = [];
+  }
+
+  /**
+   * Put up a tombstone where the character ended, with a way to read the
+   * game's dump and, for the player, to start a new game
+   * @param data game_over message: name, cause, score, turns, dump, ...
+   */
+  private showGameOver(data: any): void {
+    this.hideGameOver();
+    this.gameOver = data;
+    console.log(`🪦 Game over: ${data.cause}, ${data.score} points`);
+
+    // As with a save, the ended game's token is no use any more
+    const canStartNewGame = !this.spectateSessionId && !this.isReplaying;
+    if (canStartNewGame) {
+      window.localStorage.removeItem(SESSION_TOKEN_KEY);
+    }
+    this.addGameMessage(
+      `Game over: ${data.cause} after ${data.turns} turns, ${data.score} points`
+    );
+    this.updateStatus(`${data.name} - ${data.cause}`);
+
+    this.tombstone = this.createTombstone(data);
+    this.tombstone.position.set(
+      this.playerPos.x * TILE_SIZE,
+      -this.playerPos.y * TILE_SIZE,
+      0
+    );
+    this.scene.add(this.tombstone);
+
+    const overlay = document.createElement("div");
+    overlay.id = "game-over-dialog";
+    overlay.style.cssText = `
+      position: fixed;
+      bottom: 40px;
+      left: 50%;
+      transform: translateX(-50%);
+      background: rgba(0, 0, 0, 0.9);
+      color: white;
+      padding: 15px 20px;
+      border: 2px solid #00ff00;
+      border-radius: 10px;
+      z-index: 2000;
+      font-family: 'Courier New', monospace;
+      text-align: center;
+    `;
+
+    const title = document.createElement("div");
+    title.style.cssText = "font-size: 18px; font-weight: bold; margin-bottom: 8px;";
+    title.textContent = `${data.name}: ${data.cause}`;
+    overlay.appendChild(title);
+
+    const summary = document.createElement("div");
+    summary.style.cssText = "font-size: 13px; color: #aaa; margin-bottom: 12px;";
+    summary.textContent = `${data.score} points, ${data.turns} turns, dungeon level ${data.dlevel}`;
+    overlay.appendChild(summary);
+
+    const createButton = (label: string, onClick: () => void) => {
+      const button = document.createElement("button");
+      button.style.cssText = `
+        margin: 0 5px;
+        padding: 8px 16px;
+        background: #333;
+        color: white;
+        border: 1px solid #666;
+        border-radius: 3px;
+        cursor: pointer;
+        font-family: 'Courier New', monospace;
+      `;
+      button.textContent = label;
+      button.onclick = onClick;
+      overlay.appendChild(button);
+    };
+    if (data.dump) {
+      createButton("View dump", () =>
+        this.showTextWindow(
+          data.dump
+            .replace(/\n$/, "")
+            .split("\n")
+            .map((line: string) => ({ text: line, attr: 0 })),
+          false
+        )
+      );
+    }
+    createButton("Leaderboard", () => this.showLeaderboard());
+    if (canStartNewGame) {
+      createButton("New game", () => this.startNewGame());
+    }
+    document.body.appendChild(overlay);
+  }
+
+  // A headstone with the rip's engraving on its face, turned to the camera
+  // in animate()
+  private createTombstone(data: any): THREE.Group {
+    const group = new THREE.Group();
+    const stoneMaterial = new THREE.MeshLambertMaterial({ color: 0x888888 });
+
+    const slab = new THREE.Mesh(new THREE.BoxGeometry(2, 0.4, 2), stoneMaterial);
+    slab.position.z = 1;
+    group.add(slab);
+
+    // Half a cylinder lying along the slab's depth rounds off its top
+    const arch = new THREE.Mesh(
+      new THREE.CylinderGeometry(1, 1, 0.4, 32, 1, false, -Math.PI / 2, Math.PI),
+      stoneMaterial
+    );
+    arch.position.z = 2;
+    group.add(arch);
+
+    const canvas = document.createElement("canvas");
+    canvas.width = 288;
+    canvas.height = 448;
+    const context = canvas.getContext("2d")!;
+    context.fillStyle = "#222222";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+
+    const cause = String(data.cause || "");
+    const causeLines: string[] = [];
+    let current = "";
+    for (const word of cause.split(" ")) {
+      if (current && (current + " " + word).length > TOMBSTONE_LINE_LENGTH) {
+        causeLines.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    }
+    if (current) {
+      causeLines.push(current);
+    }
+    const lines = [
+      "REST",
+      "IN",
+      "PEACE",
+      "",
+      String(data.name || "").slice(0, TOMBSTONE_LINE_LENGTH),
+      `${data.score} Au`,
+      ...causeLines,
+      `T:${data.turns}`,
+      data.endDate ? String(data.endDate).slice(0, 4) : "",
+    ];
+    context.font = "bold 24px 'Courier New', monospace";
+    const lineHeight = Math.min(30, 380 / lines.length);
+    const top = (canvas.height - lineHeight * (lines.length - 1)) / 2 + 20;
+    lines.forEach((line, index) => {
+      context.fillText(line, canvas.width / 2, top + index * lineHeight);
+    });
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const engraving = new THREE.Mesh(
+      new THREE.PlaneGeometry(1.8, 2.8),
+      new THREE.MeshBasicMaterial({ map: texture, transparent: true })
+    );
+    // Stood up facing -Y, just in front of the stone
+    engraving.rotation.x = Math.PI / 2;
+    engraving.position.set(0, -0.21, 1.5);
+    group.add(engraving);
+
+    return group;
+  }
+
+  private hideGameOver(): void {
+    const overlay = document.getElementById("game-over-dialog");
+    if (overlay) {
+      overlay.remove();
+    }
+    if (this.tombstone) {
+      this.scene.remove(this.tombstone);
+      this.tombstone.traverse((object) => {
+        if (object instanceof THREE.Mesh) {
+          object.geometry.dispose();
+          const material = object.material as THREE.MeshBasicMaterial;
+          if (material.map) {
+            material.map.dispose();
+          }
+          material.dispose();
+        }
+      });
+      this.tombstone = null;
+    }
+    this.gameOver = null;
+  }
+
+  // Clear away the ended game and connect for a new one
+  private startNewGame(): void {
+    this.hideGameOver();
+    this.hideTextWindow();
+    this.clearScene();
+    this.logEntries = [];
+    this.renderGameLog();
+    this.currentInventory = [];
+    this.updateInventoryDisplay(this.currentInventory);
+    this.connectToServer();
+  }
+
+  private showDirectionQuestion(question: string): void {
+    // Set direction question state to pause movement
+    this.isInDirectionQuestion = true;
+
+    // Create or get direction dialog
+    let directionDialog = document.getElementById("direction-dialog");
+    if (!directionDialog) {
+      directionDialog = document.createElement("div");
+      directionDialog.id = "direction-dialog";
+      directionDialog.style.cssText = `
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        background: rgba(0, 0, 0, 0.9);
+        color: #ffff00;
+        padding: 20px;
+        border: 2px solid #ffff00;
+        border-radius: 10px;
+        z-index: 2000;
+        font-family: 'Courier New', monospace;
+        text-align: center;
+        min-width: 350px;
+      `;
+      document.body.appendChild(directionDialog);
+    }
+
+    // Clear previous content
+    directionDialog.innerHTML = "";
+
+    // Add question text
+    const questionText = document.createElement("div");
+    questionText.style.cssText = `
+      font-size: 16px;
+      margin-bottom: 20px;
+      line-height: 1.4;
+      color: #ffff00;
+    `;
+    questionText.textContent = question;
+    directionDialog.appendChild(questionText);
+
+    // Add direction buttons
+    const directionsContainer = document.createElement("div");
+    directionsContainer.style.cssText = `
+      display: grid;
+      grid-template-columns: repeat(3, 80px);
+      gap: 5px;
+      justify-content: center;
+      margin: 20px 0;
+    `;
+
+    const directions = [
+      { key: this.directionKey("nw"), label: "↖", name: "NW" },
+      { key: this.directionKey("n"), label: "↑", name: "N" },
+      { key: this.directionKey("ne"), label: "↗", name: "NE" },
+      { key: this.directionKey("w"), label: "←", name: "W" },
+      { key: this.directionKey("self"), label: "•", name: "Wait" },
+      { key: this.directionKey("e"), label: "→", name: "E" },
+      { key: this.directionKey("sw"), label: "↙", name: "SW" },
+      { key: this.directionKey("s"), label: "↓", name: "S" },
+      { key: this.directionKey("se"), label: "↘", name: "SE" },
+    ];
+
+    directions.forEach((dir) => {
+      const button = document.createElement("button");
+      button.style.cssText = `
+        width: 80px;
+        height: 80px;
+        background: #444;
+        color: #ffff00;
+        border: 2px solid #666;
+        border-radius: 5px;
+        cursor: pointer;
+        font-family: 'Courier New', monospace;
+        font-size: 16px;
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        transition: background-color 0.2s;
+        line-height: 1.2;
+      `;
+
+      button.innerHTML = `<div style="font-size: 24px; margin-bottom: 2px;">${dir.label}</div><div style="font-size: 14px;">${dir.key}</div>`;
+
+      button.onmouseover = () => {
+        button.style.backgroundColor = "#666";
+      };
+
+      button.onmouseout = () => {
+        button.style.backgroundColor = "#444";
+      };
+
+      button.onclick = () => {
+        this.sendInput(dir.key);
+        this.hideDirectionQuestion();
+      };
+
+      directionsContainer.appendChild(button);
+    });
+
+    directionDialog.appendChild(directionsContainer);
+
+    // Add escape instruction
+    const escapeText = document.createElement("div");
+    escapeText.style.cssText = `
+      font-size: 12px;
+      color: #aaa;
+      margin-top: 15px;
+    `;
+    escapeText.textContent = this.numberPad
+      ? "Use numpad (1-9), arrow keys, or click a direction. Press ESC to cancel"
+      : "Use yuhjklbn, arrow keys, or click a direction. Press ESC to cancel";
+    directionDialog.appendChild(escapeText);
+
+    // Show the dialog
+    directionDialog.style.display = "block";
+  }
+
+  private hideDirectionQuestion(): void {
+    this.isInDirectionQuestion = false;
+    this.isInQuestion = false; // Clear general question state
+    const directionDialog = document.getElementById("direction-dialog");
+    if (directionDialog) {
+      directionDialog.style.display = "none";
+    }
+  }
+
+  private showInventoryDialog(): void {
+    // Create or get inventory dialog
+    let inventoryDialog = document.getElementById("inventory-dialog");
+    if (!inventoryDialog) {
+      inventoryDialog = document.createElement("div");
+      inventoryDialog.id = "inventory-dialog";
+      inventoryDialog.style.cssText = `
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        background: rgba(0, 0, 0, 0.95);
+        color: white;
+        padding: 20px;
+        border: 2px solid #00ff00;
+        border-radius: 10px;
+        z-index: 2000;
+        font-family: 'Courier New', monospace;
+        min-width: 450px;
+        max-width: 600px;
+        max-height: 95vh;
+        overflow-y: auto;
+      `;
+      document.body.appendChild(inventoryDialog);
+    }
+
+    // Clear previous content
+    inventoryDialog.innerHTML = "";
+
+    // Add title
+    const title = document.createElement("div");
+    title.style.cssText = `
+      font-size: 18px;
+      font-weight: bold;
+      color: #00ff00;
+      margin-bottom: 15px;
+      text-align: center;
+      border-bottom: 2px solid #00ff00;
+      padding-bottom: 8px;
+    `;
+    title.textContent = "📦 INVENTORY";
+    inventoryDialog.appendChild(title);
+
+    // Add inventory items
+    const itemsContainer = document.createElement("div");
+    itemsContainer.style.cssText = `
+      margin-bottom: 20px;
+      max-height: 70vh;
+      overflow-y: auto;
+    `;
+
+    if (this.currentInventory.length === 0) {
+      const emptyMessage = document.createElement("div");
+      emptyMessage.style.cssText = `
+        text-align: center;
+        color: #aaa;
+        font-style: italic;
+        padding: 20px;
+      `;
+      emptyMessage.textContent = "Your inventory is empty.";
+      itemsContainer.appendChild(emptyMessage);
+    } else {
+      // Display both categories and items (don't filter out categories)
+      this.currentInventory.forEach((item: any, index: number) => {
+        if (item.isCategory) {
+          // This is a category header
+          const categoryHeader = document.createElement("div");
+          categoryHeader.style.cssText = `
+            font-size: 14px;
+            font-weight: bold;
+            color: #ffff00;
+            margin: ${index === 0 ? "10px" : "15px"} 0 8px 0;
+            text-align: left;
+            border-bottom: 1px solid #666;
+            padding-bottom: 4px;
+            text-transform: uppercase;
+          `;
+          categoryHeader.textContent = item.text;
+          itemsContainer.appendChild(categoryHeader);
+        } else {
+          // This is an actual item
+          const itemDiv = document.createElement("div");
+          itemDiv.style.cssText = `
+            padding: 4px 10px;
+            margin: 1px 0;
+            background: rgba(255, 255, 255, 0.03);
+            border-left: 2px solid #00ff00;
+            line-height: 1.3;
+            display: flex;
+            align-items: center;
+            margin-left: 10px;
+          `;
+
+          const keySpan = document.createElement("span");
+          keySpan.style.cssText = `
+            color: #00ff00;
+            font-weight: bold;
+            margin-right: 8px;
+            min-width: 20px;
+            font-size: 13px;
+          `;
+          keySpan.textContent = `${item.accelerator || "?"})`;
+
+          const textSpan = document.createElement("span");
+          textSpan.style.cssText = `
+            color: #ffffff;
+            flex: 1;
+            font-size: 13px;
+          `;
+          textSpan.textContent = item.text || "Unknown item";
+
+          itemDiv.appendChild(keySpan);
+          itemDiv.appendChild(textSpan);
+          itemsContainer.appendChild(itemDiv);
+        }
+      });
+    }
+
+    inventoryDialog.appendChild(itemsContainer);
+
+    // Add compact NetHack item handling keybinds
+    const keybindsTitle = document.createElement("div");
+    keybindsTitle.style.cssText = `
+      font-size: 13px;
+      font-weight: bold;
+      color: #ffff00;
+      margin-bottom: 8px;
+      border-top: 1px solid #444;
+      padding-top: 12px;
+    `;
+    keybindsTitle.textContent = "🎮 ITEM COMMANDS";
+    inventoryDialog.appendChild(keybindsTitle);
+
+    // Create commands container
+    const keybindsContainer = document.createElement("div");
+    keybindsContainer.style.cssText = `
+      font-size: 11px;
+      line-height: 1.2;
+      margin-bottom: 10px;
+      padding: 8px;
+      background: rgba(255, 255, 255, 0.02);
+      border-radius: 4px;
+      border: 1px solid #333;
+    `;
 
-      // Update the stats display
-      this.updateStatsDisplay();
-    } else if (value && value.startsWith("ptr:")) {
-      console.log(`📊 Skipping pointer value for field ${field}: ${value}`);
-    } else {
-      console.log(
-        `📊 Unknown status field ${field} or null/invalid value: "${value}"`
-      );
+    // Create highlighted command list with color-coded keys
+    const commandText = `<span style="color: #88ff88;">a</span>)pply <span style="color: #88ff88;">d</span>)rop <span style="color: #88ff88;">e</span>)at <span style="color: #88ff88;">q</span>)uaff <span style="color: #88ff88;">r</span>)ead <span style="color: #88ff88;">t</span>)hrow <span style="color: #88ff88;">w</span>)ield <span style="color: #88ff88;">W</span>)ear <span style="color: #88ff88;">T</span>)ake-off <span style="color: #88ff88;">P</span>)ut-on <span style="color: #88ff88;">R</span>)emove <span style="color: #88ff88;">z</span>)ap <span style="color: #88ff88;">Z</span>)cast
+    Special: <span style="color: #88ff88;">"</span>)weapons <span style="color: #88ff88;">[</span>)armor <span style="color: #88ff88;">=</span>)rings <span style="color: #88ff88;">"</span>)amulets <span style="color: #88ff88;">(</span>)tools`;
+
+    keybindsContainer.innerHTML = `<div style="color: #cccccc; white-space: pre-line;">${commandText}</div>`;
+    inventoryDialog.appendChild(keybindsContainer);
+
+    // Add close instructions
+    const closeText = document.createElement("div");
+    closeText.style.cssText = `
+      font-size: 12px;
+      color: #aaa;
+      text-align: center;
+      margin-top: 10px;
+      border-top: 1px solid #444;
+      padding-top: 10px;
+    `;
+    closeText.textContent = "Press ESC or 'i' to close";
+    inventoryDialog.appendChild(closeText);
+
+    // Show the dialog
+    inventoryDialog.style.display = "block";
+  }
+
+  private hideInventoryDialog(): void {
+    const inventoryDialog = document.getElementById("inventory-dialog");
+    if (inventoryDialog) {
+      inventoryDialog.style.display = "none";
     }
+    // Clear any pending inventory dialog flag
+    this.pendingInventoryDialog = false;
   }
 
-  private updateStatsDisplay(): void {
-    // Update or create the stats bar
-    let statsBar = document.getElementById("stats-bar");
-    if (!statsBar) {
-      // Create the stats bar at the top of the screen
-      statsBar = document.createElement("div");
-      statsBar.id = "stats-bar";
-      statsBar.style.cssText = `
+  private showPositionRequest(text: string): void {
+    // Create or get position dialog
+    let posDialog = document.getElementById("position-dialog");
+    if (!posDialog) {
+      posDialog = document.createElement("div");
+      posDialog.id = "position-dialog";
+      posDialog.style.cssText = `
         position: fixed;
-        top: 0;
-        left: 0;
-        right: 0;
-        background: linear-gradient(180deg, rgba(0, 0, 0, 0.9) 0%, rgba(0, 0, 0, 0.7) 100%);
-        color: white;
-        padding: 8px 15px;
+        top: 20px;
+        left: 50%;
+        transform: translateX(-50%);
+        background: rgba(0, 0, 0, 0.9);
+        color: #ffff00;
+        padding: 10px 20px;
+        border: 1px solid #ffff00;
+        border-radius: 5px;
+        z-index: 2000;
         font-family: 'Courier New', monospace;
-        font-size: 12px;
-        z-index: 1500;
-        border-bottom: 2px solid #00ff00;
-        display: flex;
-        align-items: center;
-        gap: 20px;
-        box-shadow: 0 2px 10px rgba(0, 0, 0, 0.5);
+        text-align: center;
       `;
-      document.body.appendChild(statsBar);
+      document.body.appendChild(posDialog);
+    }
 
-      // Adjust the game log position to accommodate the stats bar
-      const gameLogContainer = document.querySelector(
-        ".top-left-ui"
-      ) as HTMLElement;
-      if (gameLogContainer) {
-        gameLogContainer.style.top = "65px"; // Move down below stats bar
+    posDialog.textContent = text;
+    posDialog.style.display = "block";
+
+    // Auto-hide after 3 seconds
+    setTimeout(() => {
+      if (posDialog) {
+        posDialog.style.display = "none";
       }
+    }, 3000);
+  }
+
+  private showNameRequest(
+    text: string,
+    maxLength: number,
+    error: string | null = null
+  ): void {
+    // Create or get name dialog
+    let nameDialog = document.getElementById("name-dialog");
+    if (!nameDialog) {
+      nameDialog = document.createElement("div");
+      nameDialog.id = "name-dialog";
+      nameDialog.style.cssText = `
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        background: rgba(0, 0, 0, 0.9);
+        color: white;
+        padding: 20px;
+        border: 2px solid #00ff00;
+        border-radius: 10px;
+        z-index: 2000;
+        font-family: 'Courier New', monospace;
+        text-align: center;
+        min-width: 300px;
+      `;
+      document.body.appendChild(nameDialog);
     }
 
-    // Create HP bar component
-    const hpPercentage =
-      this.playerStats.maxHp > 0
-        ? (this.playerStats.hp / this.playerStats.maxHp) * 100
-        : 0;
-    const hpColor =
-      hpPercentage > 60 ? "#00ff00" : hpPercentage > 30 ? "#ffaa00" : "#ff0000";
+    // Clear previous content
+    nameDialog.innerHTML = "";
 
-    const hpBar = `
-      <div style="display: flex; flex-direction: column; min-width: 120px;">
-        <div style="font-weight: bold; color: #ff6666; margin-bottom: 2px;">
-          HP: ${this.playerStats.hp}/${this.playerStats.maxHp}
-        </div>
-        <div style="background: #333; height: 8px; border-radius: 4px; border: 1px solid #666;">
-          <div style="
-            background: ${hpColor}; 
-            height: 100%; 
-            width: ${hpPercentage}%; 
-            border-radius: 3px;
-            transition: width 0.3s ease;
-          "></div>
-        </div>
-      </div>
+    // Add question text
+    const questionText = document.createElement("div");
+    questionText.style.cssText = `
+      font-size: 16px;
+      margin-bottom: 15px;
     `;
+    questionText.textContent = text;
+    nameDialog.appendChild(questionText);
 
-    // Create Power bar component (if the player has magical power)
-    let powerBar = "";
-    if (this.playerStats.maxPower > 0) {
-      const powerPercentage =
-        (this.playerStats.power / this.playerStats.maxPower) * 100;
-      powerBar = `
-        <div style="display: flex; flex-direction: column; min-width: 120px;">
-          <div style="font-weight: bold; color: #6666ff; margin-bottom: 2px;">
-            Pw: ${this.playerStats.power}/${this.playerStats.maxPower}
-          </div>
-          <div style="background: #333; height: 8px; border-radius: 4px; border: 1px solid #666;">
-            <div style="
-              background: #6666ff; 
-              height: 100%; 
-              width: ${powerPercentage}%; 
-              border-radius: 3px;
-              transition: width 0.3s ease;
-            "></div>
-          </div>
-        </div>
+    // Show why the server turned down the last name
+    if (error) {
+      const errorText = document.createElement("div");
+      errorText.style.cssText = `
+        color: #ff6666;
+        margin-bottom: 10px;
       `;
+      errorText.textContent = error;
+      nameDialog.appendChild(errorText);
     }
 
-    // Build the complete stats display
-    statsBar.innerHTML = `
-      <!-- Player Name and Level -->
-      <div style="font-weight: bold; color: #00ff00; min-width: 150px;">
-        ${this.playerStats.name} (Lvl ${this.playerStats.level})
-      </div>
-      
-      <!-- HP Bar -->
-      ${hpBar}
-      
-      <!-- Power Bar (if applicable) -->
-      ${powerBar}
-      
-      <!-- Core Stats -->
-      <div style="display: flex; gap: 15px; font-size: 11px;">
-        <div style="color: #ffaa00;">St:${this.playerStats.strength}</div>
-        <div style="color: #ffaa00;">Dx:${this.playerStats.dexterity}</div>
-        <div style="color: #ffaa00;">Co:${this.playerStats.constitution}</div>
-        <div style="color: #ffaa00;">In:${this.playerStats.intelligence}</div>
-        <div style="color: #ffaa00;">Wi:${this.playerStats.wisdom}</div>
-        <div style="color: #ffaa00;">Ch:${this.playerStats.charisma}</div>
-      </div>
-      
-      <!-- Secondary Stats -->
-      <div style="display: flex; gap: 15px; font-size: 11px;">
-        <div style="color: #aaaaff;">AC:${this.playerStats.armor}</div>
-        <div style="color: #ffff66;">$:${this.playerStats.gold}</div>
-        <div style="color: #66ffff;">T:${this.playerStats.time}</div>
-      </div>
-      
-      <!-- Location and Status -->
-      <div style="display: flex; flex-direction: column; gap: 2px; font-size: 11px; flex: 1; text-align: right;">
-        <div style="color: #cccccc;">${this.playerStats.dungeon} ${
-      this.playerStats.dlevel
-    }</div>
-        <div style="color: #ffaaff;">${this.playerStats.hunger}${
-      this.playerStats.encumbrance ? " " + this.playerStats.encumbrance : ""
-    }</div>
-      </div>
+    // Add input field
+    const nameInput = document.createElement("input");
+    nameInput.type = "text";
+    nameInput.maxLength = maxLength;
+    nameInput.placeholder = "Enter your name";
+    nameInput.value = window.localStorage.getItem(PLAYER_NAME_KEY) || "";
+    nameInput.style.cssText = `
+      width: 200px;
+      padding: 8px;
+      background: #333;
+      color: white;
+      border: 1px solid #666;
+      border-radius: 3px;
+      font-family: 'Courier New', monospace;
+      margin-bottom: 15px;
     `;
-  }
-
-  private updateInventoryDisplay(items: any[]): void {
-    // Update inventory display without showing a dialog
-    // This is for informational inventory updates from NetHack
-
-    if (!items || items.length === 0) {
-      console.log("📦 Inventory is empty");
-      return;
-    }
+    nameDialog.appendChild(nameInput);
 
-    // Log inventory items for debugging
-    console.log("📦 Current inventory:");
-    items.forEach((item, index) => {
-      if (item.isCategory) {
-        console.log(`  📁 ${item.text}`);
-      } else {
-        console.log(`  ${item.accelerator || "?"}) ${item.text}`);
+    // Add submit button
+    const submitButton = document.createElement("button");
+    submitButton.textContent = "OK";
+    submitButton.style.cssText = `
+      padding: 8px 20px;
+      background: #00aa00;
+      color: white;
+      border: none;
+      border-radius: 3px;
+      cursor: pointer;
+      font-family: 'Courier New', monospace;
+      margin-left: 10px;
+    `;
+
+    const submitName = () => {
+      const name = nameInput.value.trim();
+      if (!name) {
+        return;
       }
-    });
+      window.localStorage.setItem(PLAYER_NAME_KEY, name);
+      this.sendPlayerName(name);
+      nameDialog.style.display = "none";
+    };
 
-    // TODO: If we add an inventory panel to the UI in the future, update it here
-    // For now, we just log the inventory and don't show any dialog
-  }
+    submitButton.onclick = submitName;
+    nameInput.onkeydown = (e) => {
+      if (e.key === "Enter") {
+        submitName();
+      }
+    };
 
-  private showQuestion(
-    question: string,
-    choices: string,
-    defaultChoice: string,
-    menuItems: any[]
-  ): void {
-    // Temporarily disable automatic "?" expansion to debug menu issues
-    // TODO: Re-enable with better logic later
-    const needsExpansion = false;
+    nameDialog.appendChild(submitButton);
 
-    if (needsExpansion) {
-      console.log(
-        "🔍 Question includes '?' option, automatically expanding options..."
-      );
-      // Send "?" to get detailed menu items
-      this.sendInput("?");
-      // Don't show the dialog yet - wait for expanded menu items
-      return;
-    }
+    // Show dialog and focus input
+    nameDialog.style.display = "block";
+    nameInput.focus();
+  }
 
-    // Create or get question dialog
-    let questionDialog = document.getElementById("question-dialog");
-    if (!questionDialog) {
-      questionDialog = document.createElement("div");
-      questionDialog.id = "question-dialog";
-      questionDialog.style.cssText = `
+  /**
+   * Offer the player's saved games before the server starts NetHack
+   * @param saves Save metadata from the server, newest first
+   */
+  private showSavedGamesDialog(saves: any[]): void {
+    let savedGamesDialog = document.getElementById("saved-games-dialog");
+    if (!savedGamesDialog) {
+      savedGamesDialog = document.createElement("div");
+      savedGamesDialog.id = "saved-games-dialog";
+      savedGamesDialog.style.cssText = `
         position: fixed;
         top: 50%;
         left: 50%;
@@ -1206,432 +3955,668 @@ class Nethack3DEngine {
         max-height: 80vh;
         overflow-y: auto;
       `;
-      document.body.appendChild(questionDialog);
+      document.body.appendChild(savedGamesDialog);
     }
 
     // Clear previous content
-    questionDialog.innerHTML = "";
+    savedGamesDialog.innerHTML = "";
 
-    // Add question text
-    const questionText = document.createElement("div");
-    questionText.style.cssText = `
+    const titleText = document.createElement("div");
+    titleText.style.cssText = `
       font-size: 16px;
       margin-bottom: 15px;
       line-height: 1.4;
     `;
-    questionText.textContent = question;
-    questionDialog.appendChild(questionText);
-
-    // Add menu items if available
-    if (menuItems && menuItems.length > 0) {
-      // Check if this is a multi-pickup dialog
-      const isPickupDialog =
-        question &&
-        (question.toLowerCase().includes("pick up what") ||
-          question.toLowerCase().includes("pick up") ||
-          question.toLowerCase().includes("what do you want to pick up"));
+    titleText.textContent = "You have a saved game. Continue it?";
+    savedGamesDialog.appendChild(titleText);
+
+    // Show why the last save chosen did not load
+    if (this.restoreError) {
+      const errorText = document.createElement("div");
+      errorText.style.cssText = `
+        color: #ff6666;
+        margin-bottom: 10px;
+      `;
+      errorText.textContent = `Could not restore: ${this.restoreError}`;
+      savedGamesDialog.appendChild(errorText);
+      this.restoreError = null;
+    }
 
-      if (isPickupDialog) {
-        // Create multi-selection pickup dialog
-        this.createPickupDialog(questionDialog, menuItems, question);
-      } else {
-        // Create standard single-selection menu
-        this.createStandardMenu(questionDialog, menuItems);
-      }
-    } else {
-      // Add choice buttons for simple y/n questions
-      const choiceContainer = document.createElement("div");
-      choiceContainer.style.cssText = `
-        display: flex;
-        justify-content: center;
-        gap: 10px;
-        margin-top: 15px;
+    const createButton = (label: string, save: string | null) => {
+      const button = document.createElement("button");
+      button.style.cssText = `
+        display: block;
+        width: 100%;
+        margin: 5px 0;
+        padding: 8px 16px;
+        background: ${save ? "#00aa00" : "#333"};
+        color: white;
+        border: 1px solid #666;
+        border-radius: 3px;
+        cursor: pointer;
+        font-family: 'Courier New', monospace;
       `;
+      button.textContent = label;
+      button.onclick = () => {
+        this.hideSavedGamesDialog();
+        this.startGame(save);
+      };
+      savedGamesDialog!.appendChild(button);
+    };
 
-      if (choices && choices.length > 0) {
-        for (const choice of choices) {
-          const button = document.createElement("button");
-          button.style.cssText = `
-            padding: 8px 16px;
-            background: ${choice === defaultChoice ? "#00aa00" : "#333"};
-            color: white;
-            border: 1px solid #666;
-            border-radius: 3px;
-            cursor: pointer;
-            font-family: 'Courier New', monospace;
-          `;
-          button.textContent = choice.toUpperCase();
-          button.onclick = () => {
-            this.sendInput(choice);
-            this.hideQuestion();
-          };
-          choiceContainer.appendChild(button);
-        }
-      }
+    for (const save of saves) {
+      const savedAt = new Date(save.savedAt).toLocaleString();
+      createButton(`Continue ${save.name} (saved ${savedAt})`, save.file);
+    }
+    createButton("Start a new game", null);
 
-      questionDialog.appendChild(choiceContainer);
+    savedGamesDialog.style.display = "block";
+  }
+
+  private hideSavedGamesDialog(): void {
+    const savedGamesDialog = document.getElementById("saved-games-dialog");
+    if (savedGamesDialog) {
+      savedGamesDialog.style.display = "none";
+      savedGamesDialog.innerHTML = "";
     }
+  }
 
-    // Add escape instruction
-    const escapeText = document.createElement("div");
-    escapeText.style.cssText = `
-      font-size: 12px;
-      color: #aaa;
-      margin-top: 15px;
-    `;
-    escapeText.textContent = "Press ESC to cancel";
-    questionDialog.appendChild(escapeText);
+  /**
+   * The key NetHack expects for a direction under the current game's
+   * number_pad setting
+   * @param dir One of the DIRECTION_KEYS compass names
+   */
+  private directionKey(dir: string): string {
+    const keys = DIRECTION_KEYS[dir];
+    return this.numberPad ? keys.numpad : keys.vi;
+  }
 
-    // Show the dialog
-    questionDialog.style.display = "block";
+  /**
+   * The keys that move in a direction under the current movement scheme,
+   * running when asked: vi-keys run with the capital letter, the number pad
+   * has no capitals and uses the G prefix instead
+   * @param dir One of the DIRECTION_KEYS compass names
+   * @param run Keep going until something interesting happens
+   */
+  private movementKeys(dir: string, run: boolean): string[] {
+    const key = this.directionKey(dir);
+    if (!run) {
+      return [key];
+    }
+    return this.numberPad ? ["G", key] : [key.toUpperCase()];
   }
 
-  private showDirectionQuestion(question: string): void {
-    // Set direction question state to pause movement
-    this.isInDirectionQuestion = true;
+  private showOptionsButton(): void {
+    if (document.getElementById("options-button")) {
+      return;
+    }
 
-    // Create or get direction dialog
-    let directionDialog = document.getElementById("direction-dialog");
-    if (!directionDialog) {
-      directionDialog = document.createElement("div");
-      directionDialog.id = "direction-dialog";
-      directionDialog.style.cssText = `
+    const optionsButton = document.createElement("button");
+    optionsButton.id = "options-button";
+    optionsButton.style.cssText = `
+      position: fixed;
+      top: 40px;
+      right: 10px;
+      background: rgba(0, 0, 0, 0.8);
+      color: white;
+      padding: 5px 10px;
+      border: 1px solid #666;
+      border-radius: 3px;
+      cursor: pointer;
+      font-family: Arial, sans-serif;
+      font-size: 12px;
+      z-index: 1000;
+    `;
+    optionsButton.textContent = "⚙ Options";
+    optionsButton.onclick = () => {
+      optionsButton.blur();
+      this.showOptionsDialog();
+    };
+    document.body.appendChild(optionsButton);
+  }
+
+  /**
+   * Show the player's stored NetHack options for editing
+   * @param errors Problems the server found with the last options sent
+   */
+  private showOptionsDialog(errors: string[] = []): void {
+    let optionsDialog = document.getElementById("options-dialog");
+    if (!optionsDialog) {
+      optionsDialog = document.createElement("div");
+      optionsDialog.id = "options-dialog";
+      optionsDialog.style.cssText = `
         position: fixed;
         top: 50%;
         left: 50%;
         transform: translate(-50%, -50%);
         background: rgba(0, 0, 0, 0.9);
-        color: #ffff00;
+        color: white;
         padding: 20px;
-        border: 2px solid #ffff00;
+        border: 2px solid #00ff00;
         border-radius: 10px;
         z-index: 2000;
         font-family: 'Courier New', monospace;
-        text-align: center;
-        min-width: 350px;
+        min-width: 400px;
+        max-width: 600px;
+        max-height: 80vh;
+        overflow-y: auto;
       `;
-      document.body.appendChild(directionDialog);
+      document.body.appendChild(optionsDialog);
     }
 
     // Clear previous content
-    directionDialog.innerHTML = "";
+    optionsDialog.innerHTML = "";
 
-    // Add question text
-    const questionText = document.createElement("div");
-    questionText.style.cssText = `
+    const titleText = document.createElement("div");
+    titleText.style.cssText = `
       font-size: 16px;
-      margin-bottom: 20px;
-      line-height: 1.4;
-      color: #ffff00;
+      margin-bottom: 5px;
+      text-align: center;
     `;
-    questionText.textContent = question;
-    directionDialog.appendChild(questionText);
+    titleText.textContent = "NetHack Options";
+    optionsDialog.appendChild(titleText);
 
-    // Add direction buttons
-    const directionsContainer = document.createElement("div");
-    directionsContainer.style.cssText = `
-      display: grid;
-      grid-template-columns: repeat(3, 80px);
-      gap: 5px;
-      justify-content: center;
-      margin: 20px 0;
+    const noteText = document.createElement("div");
+    noteText.style.cssText = `
+      font-size: 12px;
+      color: #aaa;
+      margin-bottom: 15px;
+      text-align: center;
     `;
+    noteText.textContent = "Changes apply from your next game";
+    optionsDialog.appendChild(noteText);
 
-    const directions = [
-      { key: "7", label: "↖", name: "NW" },
-      { key: "8", label: "↑", name: "N" },
-      { key: "9", label: "↗", name: "NE" },
-      { key: "4", label: "←", name: "W" },
-      { key: "5", label: "•", name: "Wait" },
-      { key: "6", label: "→", name: "E" },
-      { key: "1", label: "↙", name: "SW" },
-      { key: "2", label: "↓", name: "S" },
-      { key: "3", label: "↘", name: "SE" },
-    ];
+    if (errors.length > 0) {
+      const errorText = document.createElement("div");
+      errorText.style.cssText = `
+        font-size: 12px;
+        color: #ff6666;
+        margin-bottom: 10px;
+      `;
+      errorText.textContent = errors.join(". ");
+      optionsDialog.appendChild(errorText);
+    }
 
-    directions.forEach((dir) => {
+    // One input per option, read back when saving
+    const readers: { [name: string]: () => any } = {};
+    for (const definition of this.optionDefinitions) {
+      const row = document.createElement("label");
+      row.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 10px;
+        margin: 6px 0;
+        font-size: 13px;
+      `;
+      const labelText = document.createElement("span");
+      labelText.textContent = definition.label;
+      row.appendChild(labelText);
+
+      const value = this.playerOptions
+        ? this.playerOptions[definition.name]
+        : definition.default;
+      let input: HTMLInputElement | HTMLSelectElement;
+      if (definition.type === "boolean") {
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = value;
+        readers[definition.name] = () => checkbox.checked;
+        input = checkbox;
+      } else if (definition.type === "choice") {
+        const select = document.createElement("select");
+        for (const choice of definition.choices) {
+          const option = document.createElement("option");
+          option.value = choice;
+          option.textContent = choice;
+          select.appendChild(option);
+        }
+        select.value = value;
+        readers[definition.name] = () => select.value;
+        input = select;
+      } else {
+        const textInput = document.createElement("input");
+        if (definition.type === "number") {
+          textInput.type = "number";
+          textInput.min = String(definition.min);
+          textInput.max = String(definition.max);
+          readers[definition.name] = () => Number(textInput.value);
+        } else {
+          textInput.type = "text";
+          textInput.maxLength = definition.maxLength;
+          readers[definition.name] = () => textInput.value;
+        }
+        textInput.value = String(value);
+        textInput.style.width = "120px";
+        input = textInput;
+      }
+      row.appendChild(input);
+      optionsDialog.appendChild(row);
+    }
+
+    const buttonRow = document.createElement("div");
+    buttonRow.style.cssText = `
+      display: flex;
+      justify-content: center;
+      gap: 10px;
+      margin-top: 15px;
+    `;
+    const createButton = (label: string, color: string, onClick: () => void) => {
       const button = document.createElement("button");
       button.style.cssText = `
-        width: 80px;
-        height: 80px;
-        background: #444;
-        color: #ffff00;
-        border: 2px solid #666;
-        border-radius: 5px;
+        padding: 8px 16px;
+        background: ${color};
+        color: white;
+        border: 1px solid #666;
+        border-radius: 3px;
         cursor: pointer;
         font-family: 'Courier New', monospace;
-        font-size: 16px;
-        display: flex;
-        flex-direction: column;
-        align-items: center;
-        justify-content: center;
-        transition: background-color 0.2s;
-        line-height: 1.2;
       `;
+      button.textContent = label;
+      button.onclick = onClick;
+      buttonRow.appendChild(button);
+    };
+    createButton("Save", "#00aa00", () => {
+      const options: { [name: string]: any } = {};
+      for (const name of Object.keys(readers)) {
+        options[name] = readers[name]();
+      }
+      this.saveOptions(options);
+    });
+    createButton("Cancel", "#333", () => this.hideOptionsDialog());
+    optionsDialog.appendChild(buttonRow);
 
-      button.innerHTML = `<div style="font-size: 24px; margin-bottom: 2px;">${dir.label}</div><div style="font-size: 14px;">${dir.key}</div>`;
+    optionsDialog.style.display = "block";
+  }
 
-      button.onmouseover = () => {
-        button.style.backgroundColor = "#666";
-      };
+  private hideOptionsDialog(): void {
+    const optionsDialog = document.getElementById("options-dialog");
+    if (optionsDialog) {
+      optionsDialog.remove();
+    }
+  }
 
-      button.onmouseout = () => {
-        button.style.backgroundColor = "#444";
-      };
+  // Display settings stored in this browser, with defaults for anything
+  // missing or invalid
+  private readGlyphSettings(): GlyphSettings {
+    const settings = { ...DEFAULT_GLYPH_SETTINGS };
+    let stored: any = null;
+    try {
+      stored = JSON.parse(
+        window.localStorage.getItem(GLYPH_SETTINGS_KEY) || "null"
+      );
+    } catch (error) {
+      console.log("⚠️ Ignoring unreadable display settings:", error);
+    }
+    if (!stored) {
+      return settings;
+    }
 
-      button.onclick = () => {
-        this.sendInput(dir.key);
-        this.hideDirectionQuestion();
-      };
+    if (GLYPH_FONT_FAMILIES.indexOf(stored.fontFamily) !== -1) {
+      settings.fontFamily = stored.fontFamily;
+    }
+    if (
+      typeof stored.fontSize === "number" &&
+      stored.fontSize >= GLYPH_FONT_SIZE_MIN &&
+      stored.fontSize <= GLYPH_FONT_SIZE_MAX
+    ) {
+      settings.fontSize = stored.fontSize;
+    }
+    if (typeof stored.outline === "boolean") {
+      settings.outline = stored.outline;
+    }
+    if (
+      typeof stored.backdropOpacity === "number" &&
+      stored.backdropOpacity >= 0 &&
+      stored.backdropOpacity <= 1
+    ) {
+      settings.backdropOpacity = stored.backdropOpacity;
+    }
+    if (
+      typeof stored.tileset === "string" &&
+      stored.tileset.length <= TILESET_URL_MAX_LENGTH
+    ) {
+      settings.tileset = stored.tileset;
+    }
+    if (typeof stored.useTiles === "boolean") {
+      settings.useTiles = stored.useTiles;
+    }
+    return settings;
+  }
 
-      directionsContainer.appendChild(button);
-    });
+  /**
+   * Store new display settings and redraw the glyph atlas, tileset and map
+   * as far as they changed
+   * @param settings The settings to apply
+   */
+  private applyGlyphSettings(settings: GlyphSettings): void {
+    const previous = this.glyphSettings;
+    this.glyphSettings = settings;
+    window.localStorage.setItem(GLYPH_SETTINGS_KEY, JSON.stringify(settings));
+
+    if (settings.tileset !== previous.tileset) {
+      this.unloadTileset();
+      if (settings.tileset) {
+        this.loadTileset(settings.tileset);
+      }
+      this.redrawAllTiles();
+    } else if (settings.useTiles !== previous.useTiles) {
+      this.redrawAllTiles();
+    }
 
-    directionDialog.appendChild(directionsContainer);
+    const atlasChanged =
+      settings.fontFamily !== previous.fontFamily ||
+      settings.fontSize !== previous.fontSize ||
+      settings.outline !== previous.outline ||
+      settings.backdropOpacity !== previous.backdropOpacity;
+    if (atlasChanged && this.glyphAtlas) {
+      const oldAtlas = this.glyphAtlas;
+      this.glyphAtlas = this.createGlyphAtlas();
+      if (this.glyphBatch) {
+        const material = this.glyphBatch.mesh.material as THREE.ShaderMaterial;
+        material.uniforms.atlas.value = this.glyphAtlas;
+      }
+      oldAtlas.dispose();
+    }
+  }
 
-    // Add escape instruction
-    const escapeText = document.createElement("div");
-    escapeText.style.cssText = `
-      font-size: 12px;
-      color: #aaa;
-      margin-top: 15px;
-    `;
-    escapeText.textContent =
-      "Use numpad (1-9), arrow keys, or click a direction. Press ESC to cancel";
-    directionDialog.appendChild(escapeText);
+  /**
+   * Load a tileset index and its image, then redraw the map with it. The
+   * index is JSON with the image URL (relative to the index), tileWidth,
+   * tileHeight and glyph2tile, NetHack's tile number for each glyph.
+   * @param url URL of the tileset index
+   */
+  private async loadTileset(url: string): Promise<void> {
+    let tileset: Tileset;
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      const index = await response.json();
+      if (
+        typeof index.image !== "string" ||
+        !(index.tileWidth > 0) ||
+        !(index.tileHeight > 0) ||
+        !Array.isArray(index.glyph2tile)
+      ) {
+        throw new Error("Index needs image, tileWidth, tileHeight and glyph2tile");
+      }
 
-    // Show the dialog
-    directionDialog.style.display = "block";
+      const imageUrl = new URL(index.image, new URL(url, window.location.href));
+      const texture = await new THREE.TextureLoader().loadAsync(imageUrl.href);
+      texture.colorSpace = THREE.SRGBColorSpace;
+      // Keep pixel art crisp, and mipmaps would bleed neighbouring tiles in
+      texture.magFilter = THREE.NearestFilter;
+      texture.minFilter = THREE.LinearFilter;
+      texture.generateMipmaps = false;
+      tileset = {
+        url: url,
+        texture: texture,
+        columns: Math.floor(texture.image.width / index.tileWidth),
+        rows: Math.floor(texture.image.height / index.tileHeight),
+        glyph2tile: index.glyph2tile,
+      };
+    } catch (error) {
+      console.error("Error loading tileset:", error);
+      this.addGameMessage(`Could not load tileset ${url}`);
+      return;
+    }
+
+    // Another tileset may have been chosen while this one loaded
+    if (this.glyphSettings.tileset !== url) {
+      tileset.texture.dispose();
+      return;
+    }
+    this.unloadTileset();
+    this.tileset = tileset;
+    console.log(
+      `🧩 Loaded tileset ${url} with ${tileset.columns}x${tileset.rows} tiles`
+    );
+    this.redrawAllTiles();
   }
 
-  private hideDirectionQuestion(): void {
-    this.isInDirectionQuestion = false;
-    this.isInQuestion = false; // Clear general question state
-    const directionDialog = document.getElementById("direction-dialog");
-    if (directionDialog) {
-      directionDialog.style.display = "none";
+  // Drop the tileset and the batches drawing it. Tiles drawn from it need a
+  // redraw to show as characters again.
+  private unloadTileset(): void {
+    this.disposeTilesetBatches();
+    if (this.tileset) {
+      this.tileset.texture.dispose();
+      this.tileset = null;
     }
   }
 
-  private showInventoryDialog(): void {
-    // Create or get inventory dialog
-    let inventoryDialog = document.getElementById("inventory-dialog");
-    if (!inventoryDialog) {
-      inventoryDialog = document.createElement("div");
-      inventoryDialog.id = "inventory-dialog";
-      inventoryDialog.style.cssText = `
+  /**
+   * Show the font, size, outline and backdrop used for glyphs, and the
+   * tileset drawn instead of them when tiles are on. Changes are applied to
+   * the map straight away.
+   */
+  private showDisplaySettings(): void {
+    let displayDialog = document.getElementById("display-settings-dialog");
+    if (!displayDialog) {
+      displayDialog = document.createElement("div");
+      displayDialog.id = "display-settings-dialog";
+      displayDialog.style.cssText = `
         position: fixed;
         top: 50%;
         left: 50%;
         transform: translate(-50%, -50%);
-        background: rgba(0, 0, 0, 0.95);
+        background: rgba(0, 0, 0, 0.9);
         color: white;
         padding: 20px;
         border: 2px solid #00ff00;
         border-radius: 10px;
         z-index: 2000;
         font-family: 'Courier New', monospace;
-        min-width: 450px;
-        max-width: 600px;
-        max-height: 95vh;
-        overflow-y: auto;
+        min-width: 350px;
       `;
-      document.body.appendChild(inventoryDialog);
+      document.body.appendChild(displayDialog);
     }
 
     // Clear previous content
-    inventoryDialog.innerHTML = "";
+    displayDialog.innerHTML = "";
 
-    // Add title
-    const title = document.createElement("div");
-    title.style.cssText = `
-      font-size: 18px;
-      font-weight: bold;
-      color: #00ff00;
+    const titleText = document.createElement("div");
+    titleText.style.cssText = `
+      font-size: 16px;
       margin-bottom: 15px;
       text-align: center;
-      border-bottom: 2px solid #00ff00;
-      padding-bottom: 8px;
-    `;
-    title.textContent = "📦 INVENTORY";
-    inventoryDialog.appendChild(title);
-
-    // Add inventory items
-    const itemsContainer = document.createElement("div");
-    itemsContainer.style.cssText = `
-      margin-bottom: 20px;
-      max-height: 70vh;
-      overflow-y: auto;
     `;
+    titleText.textContent = "Display Settings";
+    displayDialog.appendChild(titleText);
 
-    if (this.currentInventory.length === 0) {
-      const emptyMessage = document.createElement("div");
-      emptyMessage.style.cssText = `
-        text-align: center;
-        color: #aaa;
-        font-style: italic;
-        padding: 20px;
+    const addRow = (label: string, input: HTMLElement) => {
+      const row = document.createElement("label");
+      row.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 10px;
+        margin: 6px 0;
+        font-size: 13px;
       `;
-      emptyMessage.textContent = "Your inventory is empty.";
-      itemsContainer.appendChild(emptyMessage);
-    } else {
-      // Display both categories and items (don't filter out categories)
-      this.currentInventory.forEach((item: any, index: number) => {
-        if (item.isCategory) {
-          // This is a category header
-          const categoryHeader = document.createElement("div");
-          categoryHeader.style.cssText = `
-            font-size: 14px;
-            font-weight: bold;
-            color: #ffff00;
-            margin: ${index === 0 ? "10px" : "15px"} 0 8px 0;
-            text-align: left;
-            border-bottom: 1px solid #666;
-            padding-bottom: 4px;
-            text-transform: uppercase;
-          `;
-          categoryHeader.textContent = item.text;
-          itemsContainer.appendChild(categoryHeader);
-        } else {
-          // This is an actual item
-          const itemDiv = document.createElement("div");
-          itemDiv.style.cssText = `
-            padding: 4px 10px;
-            margin: 1px 0;
-            background: rgba(255, 255, 255, 0.03);
-            border-left: 2px solid #00ff00;
-            line-height: 1.3;
-            display: flex;
-            align-items: center;
-            margin-left: 10px;
-          `;
-
-          const keySpan = document.createElement("span");
-          keySpan.style.cssText = `
-            color: #00ff00;
-            font-weight: bold;
-            margin-right: 8px;
-            min-width: 20px;
-            font-size: 13px;
-          `;
-          keySpan.textContent = `${item.accelerator || "?"})`;
-
-          const textSpan = document.createElement("span");
-          textSpan.style.cssText = `
-            color: #ffffff;
-            flex: 1;
-            font-size: 13px;
-          `;
-          textSpan.textContent = item.text || "Unknown item";
-
-          itemDiv.appendChild(keySpan);
-          itemDiv.appendChild(textSpan);
-          itemsContainer.appendChild(itemDiv);
-        }
-      });
-    }
-
-    inventoryDialog.appendChild(itemsContainer);
-
-    // Add compact NetHack item handling keybinds
-    const keybindsTitle = document.createElement("div");
-    keybindsTitle.style.cssText = `
-      font-size: 13px;
-      font-weight: bold;
-      color: #ffff00;
-      margin-bottom: 8px;
-      border-top: 1px solid #444;
-      padding-top: 12px;
-    `;
-    keybindsTitle.textContent = "🎮 ITEM COMMANDS";
-    inventoryDialog.appendChild(keybindsTitle);
-
-    // Create commands container
-    const keybindsContainer = document.createElement("div");
-    keybindsContainer.style.cssText = `
-      font-size: 11px;
-      line-height: 1.2;
-      margin-bottom: 10px;
-      padding: 8px;
-      background: rgba(255, 255, 255, 0.02);
-      border-radius: 4px;
-      border: 1px solid #333;
-    `;
-
-    // Create highlighted command list with color-coded keys
-    const commandText = `<span style="color: #88ff88;">a</span>)pply <span style="color: #88ff88;">d</span>)rop <span style="color: #88ff88;">e</span>)at <span style="color: #88ff88;">q</span>)uaff <span style="color: #88ff88;">r</span>)ead <span style="color: #88ff88;">t</span>)hrow <span style="color: #88ff88;">w</span>)ield <span style="color: #88ff88;">W</span>)ear <span style="color: #88ff88;">T</span>)ake-off <span style="color: #88ff88;">P</span>)ut-on <span style="color: #88ff88;">R</span>)emove <span style="color: #88ff88;">z</span>)ap <span style="color: #88ff88;">Z</span>)cast
-    Special: <span style="color: #88ff88;">"</span>)weapons <span style="color: #88ff88;">[</span>)armor <span style="color: #88ff88;">=</span>)rings <span style="color: #88ff88;">"</span>)amulets <span style="color: #88ff88;">(</span>)tools`;
-
-    keybindsContainer.innerHTML = `<div style="color: #cccccc; white-space: pre-line;">${commandText}</div>`;
-    inventoryDialog.appendChild(keybindsContainer);
+      const labelText = document.createElement("span");
+      labelText.textContent = label;
+      row.appendChild(labelText);
+      row.appendChild(input);
+      displayDialog!.appendChild(row);
+    };
+    const update = (change: Partial<GlyphSettings>) => {
+      this.applyGlyphSettings({ ...this.glyphSettings, ...change });
+    };
 
-    // Add close instructions
-    const closeText = document.createElement("div");
-    closeText.style.cssText = `
-      font-size: 12px;
-      color: #aaa;
-      text-align: center;
-      margin-top: 10px;
-      border-top: 1px solid #444;
-      padding-top: 10px;
+    const fontSelect = document.createElement("select");
+    GLYPH_FONT_FAMILIES.forEach((family) => {
+      const option = document.createElement("option");
+      option.value = family;
+      option.textContent = family.split(",")[0].replace(/'/g, "");
+      fontSelect.appendChild(option);
+    });
+    fontSelect.value = this.glyphSettings.fontFamily;
+    fontSelect.onchange = () => update({ fontFamily: fontSelect.value });
+    addRow("Font", fontSelect);
+
+    const sizeInput = document.createElement("input");
+    sizeInput.type = "number";
+    sizeInput.min = String(GLYPH_FONT_SIZE_MIN);
+    sizeInput.max = String(GLYPH_FONT_SIZE_MAX);
+    sizeInput.value = String(this.glyphSettings.fontSize);
+    sizeInput.style.width = "60px";
+    sizeInput.onchange = () => {
+      const size = Math.round(Number(sizeInput.value));
+      if (size >= GLYPH_FONT_SIZE_MIN && size <= GLYPH_FONT_SIZE_MAX) {
+        update({ fontSize: size });
+      } else {
+        sizeInput.value = String(this.glyphSettings.fontSize);
+      }
+    };
+    addRow("Size", sizeInput);
+
+    const outlineCheckbox = document.createElement("input");
+    outlineCheckbox.type = "checkbox";
+    outlineCheckbox.checked = this.glyphSettings.outline;
+    outlineCheckbox.onchange = () => update({ outline: outlineCheckbox.checked });
+    addRow("Outline", outlineCheckbox);
+
+    const backdropSlider = document.createElement("input");
+    backdropSlider.type = "range";
+    backdropSlider.min = "0";
+    backdropSlider.max = "1";
+    backdropSlider.step = "0.05";
+    backdropSlider.value = String(this.glyphSettings.backdropOpacity);
+    backdropSlider.onchange = () =>
+      update({ backdropOpacity: Number(backdropSlider.value) });
+    addRow("Backdrop opacity", backdropSlider);
+
+    const tilesetInput = document.createElement("input");
+    tilesetInput.type = "text";
+    tilesetInput.maxLength = TILESET_URL_MAX_LENGTH;
+    tilesetInput.placeholder = "tilesets/dawnhack.json";
+    tilesetInput.value = this.glyphSettings.tileset;
+    tilesetInput.style.width = "180px";
+    tilesetInput.onchange = () => update({ tileset: tilesetInput.value.trim() });
+    addRow("Tileset index", tilesetInput);
+
+    const tilesCheckbox = document.createElement("input");
+    tilesCheckbox.type = "checkbox";
+    tilesCheckbox.checked = this.glyphSettings.useTiles;
+    tilesCheckbox.onchange = () => update({ useTiles: tilesCheckbox.checked });
+    addRow("Use tiles instead of ASCII", tilesCheckbox);
+
+    const buttonRow = document.createElement("div");
+    buttonRow.style.cssText = `
+      display: flex;
+      justify-content: center;
+      gap: 10px;
+      margin-top: 15px;
     `;
-    closeText.textContent = "Press ESC or 'i' to close";
-    inventoryDialog.appendChild(closeText);
-
-    // Show the dialog
-    inventoryDialog.style.display = "block";
+    const createButton = (label: string, onClick: () => void) => {
+      const button = document.createElement("button");
+      button.style.cssText = `
+        padding: 8px 16px;
+        background: #333;
+        color: white;
+        border: 1px solid #666;
+        border-radius: 3px;
+        cursor: pointer;
+        font-family: 'Courier New', monospace;
+      `;
+      button.textContent = label;
+      button.onclick = onClick;
+      buttonRow.appendChild(button);
+    };
+    createButton("Defaults", () => {
+      this.applyGlyphSettings({ ...DEFAULT_GLYPH_SETTINGS });
+      this.showDisplaySettings();
+    });
+    createButton("Close", () => displayDialog!.remove());
+    displayDialog.appendChild(buttonRow);
   }
 
-  private hideInventoryDialog(): void {
-    const inventoryDialog = document.getElementById("inventory-dialog");
-    if (inventoryDialog) {
-      inventoryDialog.style.display = "none";
+  /**
+   * Send edited options to the server, which stores them for this player
+   * if they are valid and answers with an options message either way
+   */
+  private saveOptions(options: any): void {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(
+        JSON.stringify({
+          type: "set_options",
+          options: options,
+        })
+      );
     }
-    // Clear any pending inventory dialog flag
-    this.pendingInventoryDialog = false;
   }
 
-  private showPositionRequest(text: string): void {
-    // Create or get position dialog
-    let posDialog = document.getElementById("position-dialog");
-    if (!posDialog) {
-      posDialog = document.createElement("div");
-      posDialog.id = "position-dialog";
-      posDialog.style.cssText = `
-        position: fixed;
-        top: 20px;
-        left: 50%;
-        transform: translateX(-50%);
-        background: rgba(0, 0, 0, 0.9);
-        color: #ffff00;
-        padding: 10px 20px;
-        border: 1px solid #ffff00;
-        border-radius: 5px;
-        z-index: 2000;
-        font-family: 'Courier New', monospace;
-        text-align: center;
-      `;
-      document.body.appendChild(posDialog);
+  /**
+   * Ask the server to start NetHack, either restoring a saved game or
+   * beginning a new one
+   * @param save File name of the save to continue, or null for a new game
+   */
+  private startGame(save: string | null): void {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(
+        JSON.stringify({
+          type: "start_game",
+          save: save,
+        })
+      );
     }
+  }
 
-    posDialog.textContent = text;
-    posDialog.style.display = "block";
+  /**
+   * Answer NetHack's character selection
+   * @param character Role/race/gender/align choice, each may be "random"
+   */
+  private sendCharacter(character: any): void {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(
+        JSON.stringify({
+          type: "character",
+          character: character,
+        })
+      );
+    }
+  }
 
-    // Auto-hide after 3 seconds
-    setTimeout(() => {
-      if (posDialog) {
-        posDialog.style.display = "none";
+  /**
+   * Check a (partly random) character choice against the combinations the
+   * server says NetHack allows
+   */
+  private isCharacterChoiceValid(options: any, choice: any): boolean {
+    const matches = (value: string, chosen: string) =>
+      chosen === "random" || chosen === value;
+
+    return options.roles.some((role: any) => {
+      if (
+        !matches(role.name, choice.role) ||
+        !role.genders.some((gender: string) => matches(gender, choice.gender))
+      ) {
+        return false;
       }
-    }, 3000);
+      return options.races.some(
+        (race: any) =>
+          role.races.includes(race.name) &&
+          matches(race.name, choice.race) &&
+          race.aligns.some(
+            (align: string) =>
+              role.aligns.includes(align) && matches(align, choice.align)
+          )
+      );
+    });
   }
 
-  private showNameRequest(text: string, maxLength: number): void {
-    // Create or get name dialog
-    let nameDialog = document.getElementById("name-dialog");
-    if (!nameDialog) {
-      nameDialog = document.createElement("div");
-      nameDialog.id = "name-dialog";
-      nameDialog.style.cssText = `
+  /**
+   * Let the player pick role, race, gender and alignment for a new game,
+   * starting from the choice they made last time
+   * @param options The character_selection message from the server
+   */
+  private showCharacterSelection(options: any): void {
+    let characterDialog = document.getElementById("character-dialog");
+    if (!characterDialog) {
+      characterDialog = document.createElement("div");
+      characterDialog.id = "character-dialog";
+      characterDialog.style.cssText = `
         position: fixed;
         top: 50%;
         left: 50%;
@@ -1644,72 +4629,176 @@ class Nethack3DEngine {
         z-index: 2000;
         font-family: 'Courier New', monospace;
         text-align: center;
-        min-width: 300px;
+        min-width: 400px;
+        max-width: 700px;
+        max-height: 80vh;
+        overflow-y: auto;
       `;
-      document.body.appendChild(nameDialog);
+      document.body.appendChild(characterDialog);
     }
 
-    // Clear previous content
-    nameDialog.innerHTML = "";
+    let choice: any = {
+      role: "random",
+      race: "random",
+      gender: "random",
+      align: "random",
+    };
+    try {
+      const remembered = JSON.parse(
+        window.localStorage.getItem(CHARACTER_KEY) || "null"
+      );
+      if (remembered && this.isCharacterChoiceValid(options, remembered)) {
+        choice = remembered;
+      }
+    } catch (error) {
+      console.log("⚠️ Ignoring unreadable remembered character:", error);
+    }
 
-    // Add question text
-    const questionText = document.createElement("div");
-    questionText.style.cssText = `
-      font-size: 16px;
-      margin-bottom: 15px;
-    `;
-    questionText.textContent = text;
-    nameDialog.appendChild(questionText);
+    const sections = [
+      {
+        field: "role",
+        label: "Role",
+        values: options.roles.map((role: any) => role.name),
+      },
+      {
+        field: "race",
+        label: "Race",
+        values: options.races.map((race: any) => race.name),
+      },
+      { field: "gender", label: "Gender", values: options.genders },
+      { field: "align", label: "Alignment", values: options.aligns },
+    ];
 
-    // Add input field
-    const nameInput = document.createElement("input");
-    nameInput.type = "text";
-    nameInput.maxLength = maxLength;
-    nameInput.placeholder = "Enter your name";
-    nameInput.style.cssText = `
-      width: 200px;
-      padding: 8px;
-      background: #333;
-      color: white;
-      border: 1px solid #666;
-      border-radius: 3px;
-      font-family: 'Courier New', monospace;
-      margin-bottom: 15px;
-    `;
-    nameDialog.appendChild(nameInput);
+    const render = () => {
+      characterDialog!.innerHTML = "";
 
-    // Add submit button
-    const submitButton = document.createElement("button");
-    submitButton.textContent = "OK";
-    submitButton.style.cssText = `
-      padding: 8px 20px;
-      background: #00aa00;
-      color: white;
-      border: none;
-      border-radius: 3px;
-      cursor: pointer;
-      font-family: 'Courier New', monospace;
-      margin-left: 10px;
-    `;
+      const titleText = document.createElement("div");
+      titleText.style.cssText = `
+        font-size: 16px;
+        margin-bottom: 15px;
+        line-height: 1.4;
+      `;
+      titleText.textContent = "Who are you?";
+      characterDialog!.appendChild(titleText);
+
+      if (options.error) {
+        const errorText = document.createElement("div");
+        errorText.style.cssText = `
+          color: #ff6666;
+          margin-bottom: 10px;
+        `;
+        errorText.textContent = options.error;
+        characterDialog!.appendChild(errorText);
+      }
 
-    const submitName = () => {
-      const name = nameInput.value.trim() || "Adventurer";
-      this.sendInput(name);
-      nameDialog.style.display = "none";
-    };
+      for (const section of sections) {
+        const sectionLabel = document.createElement("div");
+        sectionLabel.style.cssText = `
+          color: #00ff00;
+          margin: 10px 0 5px;
+          text-align: left;
+        `;
+        sectionLabel.textContent = section.label;
+        characterDialog!.appendChild(sectionLabel);
 
-    submitButton.onclick = submitName;
-    nameInput.onkeydown = (e) => {
-      if (e.key === "Enter") {
-        submitName();
+        const buttonContainer = document.createElement("div");
+        buttonContainer.style.cssText = `
+          display: flex;
+          flex-wrap: wrap;
+          gap: 5px;
+        `;
+
+        for (const value of ["random", ...section.values]) {
+          // Grey out anything NetHack would refuse with the other choices
+          const allowed = this.isCharacterChoiceValid(options, {
+            ...choice,
+            [section.field]: value,
+          });
+          const selected = choice[section.field] === value;
+
+          const button = document.createElement("button");
+          button.style.cssText = `
+            padding: 6px 10px;
+            background: ${selected ? "#00aa00" : "#333"};
+            color: ${allowed ? "white" : "#666"};
+            border: 1px solid #666;
+            border-radius: 3px;
+            cursor: ${allowed ? "pointer" : "not-allowed"};
+            font-family: 'Courier New', monospace;
+            text-transform: capitalize;
+          `;
+          button.textContent = value;
+          button.disabled = !allowed;
+          button.onclick = () => {
+            choice = { ...choice, [section.field]: value };
+            render();
+          };
+          buttonContainer.appendChild(button);
+        }
+        characterDialog!.appendChild(buttonContainer);
       }
+
+      const actionContainer = document.createElement("div");
+      actionContainer.style.cssText = `
+        display: flex;
+        justify-content: center;
+        gap: 10px;
+        margin-top: 20px;
+      `;
+
+      const playButton = document.createElement("button");
+      playButton.style.cssText = `
+        padding: 8px 16px;
+        background: #00aa00;
+        color: white;
+        border: 1px solid #666;
+        border-radius: 3px;
+        cursor: pointer;
+        font-family: 'Courier New', monospace;
+      `;
+      playButton.textContent = "Play";
+      playButton.onclick = () => {
+        window.localStorage.setItem(CHARACTER_KEY, JSON.stringify(choice));
+        this.hideCharacterSelection();
+        this.sendCharacter(choice);
+      };
+      actionContainer.appendChild(playButton);
+
+      const randomButton = document.createElement("button");
+      randomButton.style.cssText = `
+        padding: 8px 16px;
+        background: #333;
+        color: white;
+        border: 1px solid #666;
+        border-radius: 3px;
+        cursor: pointer;
+        font-family: 'Courier New', monospace;
+      `;
+      randomButton.textContent = "Surprise me";
+      randomButton.onclick = () => {
+        choice = {
+          role: "random",
+          race: "random",
+          gender: "random",
+          align: "random",
+        };
+        render();
+      };
+      actionContainer.appendChild(randomButton);
+
+      characterDialog!.appendChild(actionContainer);
     };
 
-    nameDialog.appendChild(submitButton);
+    render();
+    characterDialog.style.display = "block";
+  }
 
-    // Show dialog and focus input
-    nameDialog.style.display = "block";
-    nameInput.focus();
+  private hideCharacterSelection(): void {
+    const characterDialog = document.getElementById("character-dialog");
+    if (characterDialog) {
+      characterDialog.style.display = "none";
+      characterDialog.innerHTML = "";
+    }
   }
 
   private hideQuestion(): void {
@@ -1720,6 +4809,7 @@ class Nethack3DEngine {
       questionDialog.innerHTML = ""; // Clear content to prevent retention
       // Clear pickup dialog flags
       (questionDialog as any).isPickupDialog = false;
+      (questionDialog as any).isReadOnlyMenu = false;
       (questionDialog as any).menuItems = null;
     }
   }
@@ -1729,8 +4819,10 @@ class Nethack3DEngine {
     menuItems: any[],
     question: string
   ): void {
-    // Track selected items for multi-pickup
+    // Track selected items for multi-pickup, starting from NetHack's preselection
     const selectedItems = new Set<string>();
+    // How many of each item to take; left empty for the whole stack
+    const countInputs = new Map<string, HTMLInputElement>();
 
     menuItems.forEach((item) => {
       if (
@@ -1775,6 +4867,11 @@ class Nethack3DEngine {
           margin-right: 8px;
           transform: scale(1.2);
         `;
+        if (item.selected) {
+          checkbox.checked = true;
+          selectedItems.add(item.accelerator);
+          itemContainer.style.backgroundColor = "#444";
+        }
 
         // Key label
         const keyPart = document.createElement("span");
@@ -1794,6 +4891,26 @@ class Nethack3DEngine {
         `;
         textPart.textContent = item.text;
 
+        // Count spinner, limited to the stack size when the text starts with one
+        const countInput = document.createElement("input");
+        countInput.type = "number";
+        countInput.min = "1";
+        countInput.placeholder = "all";
+        countInput.title = "How many to take (empty for all)";
+        const stackSize = item.text.match(/^(\d+) /);
+        if (stackSize) {
+          countInput.max = stackSize[1];
+        }
+        countInput.style.cssText = `
+          width: 55px;
+          margin-left: 8px;
+          background: #222;
+          color: white;
+          border: 1px solid #666;
+          font-family: 'Courier New', monospace;
+        `;
+        countInputs.set(item.accelerator, countInput);
+
         // Toggle function
         const toggleItem = () => {
           checkbox.checked = !checkbox.checked;
@@ -1804,8 +4921,6 @@ class Nethack3DEngine {
             selectedItems.delete(item.accelerator);
             itemContainer.style.backgroundColor = "#333";
           }
-          // Send the key to NetHack to keep game state in sync
-          this.sendInput(item.accelerator);
         };
 
         // Click handlers
@@ -1824,17 +4939,40 @@ class Nethack3DEngine {
             selectedItems.delete(item.accelerator);
             itemContainer.style.backgroundColor = "#333";
           }
-          // Send the key to NetHack to keep game state in sync
-          this.sendInput(item.accelerator);
+        };
+
+        // Picking a count selects the item; clicking the spinner mustn't toggle it
+        countInput.onclick = (e) => {
+          e.stopPropagation();
+        };
+        countInput.oninput = () => {
+          if (countInput.value && !checkbox.checked) {
+            toggleItem();
+          }
+        };
+        countInput.onkeydown = (e) => {
+          if (e.key === "Enter") {
+            confirmSelection();
+          }
+        };
+
+        // Select with a typed count, as in "12b" for 12 of item b
+        const selectWithCount = (count: number) => {
+          countInput.value = String(count);
+          if (!checkbox.checked) {
+            toggleItem();
+          }
         };
 
         // Store toggle function for keyboard access
         (itemContainer as any).toggleItem = toggleItem;
+        (itemContainer as any).selectWithCount = selectWithCount;
         (itemContainer as any).accelerator = item.accelerator;
 
         itemContainer.appendChild(checkbox);
         itemContainer.appendChild(keyPart);
         itemContainer.appendChild(textPart);
+        itemContainer.appendChild(countInput);
         questionDialog.appendChild(itemContainer);
       }
     });
@@ -1851,19 +4989,89 @@ class Nethack3DEngine {
       color: #00ff00;
       font-weight: bold;
     `;
-    confirmInstruction.textContent =
-      "Press ENTER to confirm pickup, or ESC to cancel";
+    const instructionText =
+      "Type a count before a letter to take part of a stack. Press ENTER to confirm, or ESC to cancel";
+    confirmInstruction.textContent = instructionText;
     questionDialog.appendChild(confirmInstruction);
 
+    // Send exactly what is checked, with counts where one was given
+    const confirmSelection = () => {
+      const selections = Array.from(selectedItems).map((accelerator) => {
+        const count = parseInt(countInputs.get(accelerator)!.value, 10);
+        return count > 0 ? { accelerator, count } : { accelerator };
+      });
+      this.sendMenuSelection(selections);
+      this.hideQuestion();
+    };
+
+    // Show the count being typed, or the instructions when there is none
+    const showPendingCount = (count: string) => {
+      confirmInstruction.textContent = count
+        ? `Count: ${count} - type the letter of the item`
+        : instructionText;
+    };
+
     // Store that this is a pickup dialog for keyboard handling
     (questionDialog as any).isPickupDialog = true;
     (questionDialog as any).menuItems = menuItems;
+    (questionDialog as any).confirmSelection = confirmSelection;
+    (questionDialog as any).showPendingCount = showPendingCount;
+    (questionDialog as any).pendingCount = "";
+  }
+
+  private createReadOnlyMenu(
+    questionDialog: HTMLElement,
+    menuItems: any[]
+  ): void {
+    const lines = document.createElement("div");
+    lines.style.cssText = `
+      text-align: left;
+      white-space: pre-wrap;
+      line-height: 1.3;
+    `;
+    menuItems.forEach((item) => {
+      const line = document.createElement("div");
+      if (item.isCategory) {
+        line.style.cssText = `
+          font-weight: bold;
+          color: #ffff00;
+          margin-top: 8px;
+        `;
+      }
+      line.textContent = item.text;
+      lines.appendChild(line);
+    });
+    questionDialog.appendChild(lines);
+
+    const closeButton = document.createElement("button");
+    closeButton.style.cssText = `
+      margin-top: 15px;
+      padding: 8px 16px;
+      background: #333;
+      color: white;
+      border: 1px solid #666;
+      border-radius: 3px;
+      cursor: pointer;
+      font-family: 'Courier New', monospace;
+    `;
+    closeButton.textContent = "Close";
+    closeButton.onclick = () => {
+      this.sendMenuSelection([]);
+      this.hideQuestion();
+    };
+    questionDialog.appendChild(closeButton);
+
+    // Store that this menu only needs dismissing, for keyboard handling
+    (questionDialog as any).isReadOnlyMenu = true;
   }
 
   private createStandardMenu(
     questionDialog: HTMLElement,
     menuItems: any[]
   ): void {
+    // Store the items so keys that pick none of them can be ignored
+    (questionDialog as any).menuItems = menuItems;
+
     menuItems.forEach((item) => {
       if (
         item.isCategory ||
@@ -1916,7 +5124,7 @@ class Nethack3DEngine {
         menuButton.appendChild(textPart);
 
         menuButton.onclick = () => {
-          this.sendInput(item.accelerator);
+          this.sendMenuSelection([{ accelerator: item.accelerator }]);
           this.hideQuestion();
         };
         questionDialog.appendChild(menuButton);
@@ -1924,7 +5132,42 @@ class Nethack3DEngine {
     });
   }
 
+  private sendPlayerName(name: string): void {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(
+        JSON.stringify({
+          type: "player_name",
+          name: name,
+        })
+      );
+    }
+  }
+
+  /**
+   * Answer the menu NetHack is waiting on with the items picked in a dialog
+   * @param selections Picked items by accelerator, with a count when only
+   * part of a stack is wanted
+   */
+  private sendMenuSelection(
+    selections: { accelerator: string; count?: number }[]
+  ): void {
+    if (this.spectateSessionId) {
+      return;
+    }
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(
+        JSON.stringify({
+          type: "menu_selection",
+          selections: selections,
+        })
+      );
+    }
+  }
+
   private sendInput(input: string): void {
+    if (this.spectateSessionId) {
+      return; // The server would ignore it anyway
+    }
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       this.ws.send(
         JSON.stringify({
@@ -1936,6 +5179,49 @@ class Nethack3DEngine {
   }
 
   private handleKeyDown(event: KeyboardEvent): void {
+    // Leave typing in dialog fields (like the name prompt) alone
+    if (
+      event.target instanceof HTMLInputElement ||
+      event.target instanceof HTMLSelectElement
+    ) {
+      return;
+    }
+
+    // Nothing to send to a recording; the keys drive the replay instead
+    if (this.isReplaying) {
+      this.handleReplayKey(event);
+      return;
+    }
+
+    // A text window takes every key until it is closed
+    if (this.isTextWindowOpen()) {
+      this.handleTextWindowKey(event);
+      return;
+    }
+
+    // Keys after # spell the command name; the server keeps what is typed
+    if (this.isAwaitingExtendedCommand) {
+      if (["Shift", "Control", "Alt", "Meta"].indexOf(event.key) === -1) {
+        event.preventDefault();
+        this.sendInput(event.key);
+        if (event.key === "Enter" || event.key === "Escape") {
+          // The server asks again if it did not know the name
+          this.hideExtendedCommand();
+        }
+      }
+      return;
+    }
+
+    // Any key but a lone modifier answers --More--
+    if (this.isAwaitingMore) {
+      if (["Shift", "Control", "Alt", "Meta"].indexOf(event.key) === -1) {
+        event.preventDefault();
+        this.sendInput(event.key);
+        this.hideMorePrompt();
+      }
+      return;
+    }
+
     // Handle escape key to close dialogs
     if (event.key === "Escape") {
       // Check if inventory dialog is open and close it
@@ -1969,11 +5255,11 @@ class Nethack3DEngine {
       switch (event.key.toLowerCase()) {
         case "r":
           if (event.shiftKey) {
-            // Ctrl+Shift+R: Refresh larger area around player
+            // Ctrl+Shift+R: Rebuild everything from a full server snapshot
             event.preventDefault();
-            console.log("🔄 Manual refresh requested for large player area");
-            this.requestPlayerAreaUpdate(10);
-            this.addGameMessage("Refreshing large area around player...");
+            console.log("🔄 Manual refresh requested for full game state");
+            this.requestFullState();
+            this.addGameMessage("Refreshing full game state...");
             return;
           } else {
             // Ctrl+R: Refresh area around player
@@ -1984,6 +5270,12 @@ class Nethack3DEngine {
             return;
           }
 
+        case "p":
+          // Ctrl+P: NetHack's previous messages, in place of printing
+          event.preventDefault();
+          this.requestMessageHistory();
+          return;
+
         case "t":
           // Ctrl+T: Refresh tile at player position
           event.preventDefault();
@@ -2053,39 +5345,16 @@ class Nethack3DEngine {
       return;
     }
 
-    // Handle diagonal movement keys during regular gameplay
-    // Map navigation keys to numpad equivalents for NetHack
+    // Handle arrow and diagonal movement keys during regular gameplay
+    // Map navigation keys to the game's movement keys, Shift to run
     if (!this.isInQuestion && !this.isInDirectionQuestion) {
-      let mappedKey = null;
-
-      switch (event.key) {
-        case "Home":
-          mappedKey = "7"; // Northwest
-          console.log("🔄 Mapping Home to numpad 7 (Northwest)");
-          break;
-        case "PageUp":
-          mappedKey = "9"; // Northeast
-          console.log("🔄 Mapping PageUp to numpad 9 (Northeast)");
-          break;
-        case "End":
-          mappedKey = "1"; // Southwest
-          console.log("🔄 Mapping End to numpad 1 (Southwest)");
-          break;
-        case "PageDown":
-          mappedKey = "3"; // Southeast
-          console.log("🔄 Mapping PageDown to numpad 3 (Southeast)");
-          break;
-      }
-
-      if (mappedKey) {
-        // Send the mapped key instead of the original
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-          this.ws.send(
-            JSON.stringify({
-              type: "input",
-              input: mappedKey,
-            })
-          );
+      const dir = NAVIGATION_KEY_DIRECTIONS[event.key];
+      if (dir) {
+        event.preventDefault();
+        const keys = this.movementKeys(dir, event.shiftKey);
+        console.log(`🔄 Mapping ${event.key} to ${keys.join("")}`);
+        for (const key of keys) {
+          this.sendInput(key);
         }
         return;
       }
@@ -2095,55 +5364,30 @@ class Nethack3DEngine {
     if (this.isInQuestion || this.isInDirectionQuestion) {
       // If it's a direction question, handle direction input
       if (this.isInDirectionQuestion) {
-        // With number_pad:1 option, we can pass numpad keys and arrow keys directly
+        // Whichever keys the player uses, answer with the movement keys of
+        // the game's number_pad setting
         let keyToSend = null;
 
         switch (event.key) {
-          // Arrow keys - map to numpad equivalents
-          case "ArrowUp":
-            keyToSend = "8";
-            break;
-          case "ArrowDown":
-            keyToSend = "2";
-            break;
-          case "ArrowLeft":
-            keyToSend = "4";
-            break;
-          case "ArrowRight":
-            keyToSend = "6";
-            break;
-
-          // Diagonal movement with Home/End/PageUp/PageDown
-          case "Home":
-            keyToSend = "7"; // Northwest
-            break;
-          case "PageUp":
-            keyToSend = "9"; // Northeast
-            break;
-          case "End":
-            keyToSend = "1"; // Southwest
-            break;
-          case "PageDown":
-            keyToSend = "3"; // Southeast
-            break;
-
-          // Numpad keys - pass through directly (includes diagonals)
-          case "1": // Southwest
-          case "2": // South
-          case "3": // Southeast
-          case "4": // West
-          case "5": // Wait/rest
-          case "6": // East
-          case "7": // Northwest
-          case "8": // North
-          case "9": // Northeast
-            keyToSend = event.key;
-            break;
-
-          // Space or period for wait (center/5)
+          // Space or period for the direction of yourself (center/5)
           case " ":
           case ".":
-            keyToSend = "5";
+            keyToSend = this.directionKey("self");
+            break;
+
+          default:
+            // Arrow keys and Home/End/PageUp/PageDown for the diagonals
+            if (NAVIGATION_KEY_DIRECTIONS[event.key]) {
+              keyToSend = this.directionKey(
+                NAVIGATION_KEY_DIRECTIONS[event.key]
+              );
+            }
+            // The game's own direction keys pass through directly
+            for (const dir of Object.keys(DIRECTION_KEYS)) {
+              if (event.key === this.directionKey(dir)) {
+                keyToSend = event.key;
+              }
+            }
             break;
         }
 
@@ -2156,12 +5400,30 @@ class Nethack3DEngine {
 
       // For other questions, handle pickup dialogs specially
       const questionDialog = document.getElementById("question-dialog");
-      if (questionDialog && (questionDialog as any).isPickupDialog) {
+      if (questionDialog && (questionDialog as any).isReadOnlyMenu) {
+        // Read-only menus close with Enter or Space (Escape is handled above)
+        if (event.key === "Enter" || event.key === " ") {
+          event.preventDefault();
+          this.sendMenuSelection([]);
+          this.hideQuestion();
+        }
+      } else if (questionDialog && (questionDialog as any).isPickupDialog) {
         // This is a pickup dialog - handle multi-selection
         if (event.key === "Enter") {
-          // Confirm pickup and close dialog
-          this.sendInput("Enter");
-          this.hideQuestion();
+          // Confirm pickup with exactly what is checked and close dialog
+          (questionDialog as any).confirmSelection();
+        } else if (
+          /^[0-9]$/.test(event.key) &&
+          !((questionDialog as any).menuItems || []).some(
+            (item: any) => item.accelerator === event.key && !item.isCategory
+          )
+        ) {
+          // Digits typed before an item letter are a count for that item,
+          // unless an item is picked with that digit
+          (questionDialog as any).pendingCount += event.key;
+          (questionDialog as any).showPendingCount(
+            (questionDialog as any).pendingCount
+          );
         } else if (event.key === "Escape") {
           // Cancel pickup
           this.sendInput("Escape");
@@ -2173,8 +5435,13 @@ class Nethack3DEngine {
             (item: any) => item.accelerator === event.key && !item.isCategory
           );
 
+          const pendingCount = parseInt((questionDialog as any).pendingCount, 10);
+          (questionDialog as any).pendingCount = "";
+          (questionDialog as any).showPendingCount("");
+
           if (matchingItem) {
-            // Find the corresponding item container and toggle it
+            // Find the corresponding item container and toggle it, or select
+            // it with the count typed before its letter
             const containers = questionDialog.querySelectorAll(
               'div[style*="display: flex"]'
             );
@@ -2183,7 +5450,11 @@ class Nethack3DEngine {
                 (container as any).accelerator === event.key &&
                 (container as any).toggleItem
               ) {
-                (container as any).toggleItem();
+                if (pendingCount > 0) {
+                  (container as any).selectWithCount(pendingCount);
+                } else {
+                  (container as any).toggleItem();
+                }
               }
             });
           } else {
@@ -2192,7 +5463,17 @@ class Nethack3DEngine {
           }
         }
       } else {
-        // Standard single-selection dialog - send key and close
+        // Standard single-selection dialog - send key and close, unless
+        // it is a menu and the key picks none of its items
+        const menuItems = questionDialog && (questionDialog as any).menuItems;
+        if (
+          menuItems &&
+          !menuItems.some(
+            (item: any) => item.accelerator === event.key && !item.isCategory
+          )
+        ) {
+          return;
+        }
         this.sendInput(event.key);
         this.hideQuestion();
       }
@@ -2334,6 +5615,10 @@ class Nethack3DEngine {
   private animate(): void {
     requestAnimationFrame(this.animate.bind(this));
     this.updateCamera();
+    if (this.tombstone) {
+      // Keep the engraved (-Y) face turned towards the camera
+      this.tombstone.rotation.z = this.cameraAngleY + Math.PI / 2;
+    }
     this.renderer.render(this.scene, this.camera);
   }
 }
@@ -2361,20 +5646,49 @@ const game = new Nethack3DEngine();
   game.requestPlayerAreaUpdate(radius);
 };
 
+(window as any).refreshFullState = () => {
+  game.requestFullState();
+};
+
+(window as any).replayRecording = (file: string) => {
+  game.loadReplay(file);
+};
+
+(window as any).openRecording = () => {
+  // Play a .jsonl recording from disk without going through the server
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = ".jsonl";
+  fileInput.onchange = () => {
+    if (fileInput.files && fileInput.files[0]) {
+      game.loadReplayFile(fileInput.files[0]);
+    }
+  };
+  fileInput.click();
+};
+
 console.log("🎮 NetHack 3D debugging helpers available:");
 console.log("  refreshTile(x, y) - Refresh a specific tile");
 console.log("  refreshArea(x, y, radius) - Refresh an area");
 console.log("  refreshPlayerArea(radius) - Refresh around player");
+console.log("  refreshFullState() - Rebuild everything from the server");
+console.log("  replayRecording(file) - Play back a recording from the server");
+console.log("  openRecording() - Play back a recording file from disk");
 console.log("  Ctrl+T - Refresh player tile");
 console.log("  Ctrl+R - Refresh player area (radius 5)");
-console.log("  Ctrl+Shift+R - Refresh large player area (radius 10)");
+console.log("  Ctrl+Shift+R - Rebuild the full game state");
 console.log("🕹️ Movement controls:");
 console.log("  Arrow keys - Cardinal directions (N/S/E/W)");
 console.log("  Numpad 1-9 - All directions including diagonals");
+console.log("  hjklyubn - The same, with number_pad turned off in ⚙ Options");
+console.log("  Shift + arrows/Home/PgUp/End/PgDn - Run in that direction");
+console.log("  HJKLYUBN - Run, with number_pad turned off");
 console.log("  Home/PgUp/End/PgDn - Diagonal movement (NW/NE/SW/SE)");
 console.log("  Numpad 5 or Space - Wait/rest");
 console.log("📦 Interface controls:");
 console.log("  'i' - Open/close inventory dialog");
 console.log("  ESC - Close dialogs or cancel actions");
+console.log("🎬 Replay controls (page opened with ?replay=<file>):");
+console.log("  Space - Play/pause, '.' or Right arrow - Step, +/- - Speed");
 
 export default game;